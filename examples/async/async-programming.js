@@ -5,15 +5,32 @@
  * 모든 패턴을 실무 관점에서 학습합니다.
  */
 
+import { ApiManager } from './utils/apiManager.js';
+import { AsyncError, NetworkError, toAsyncError, ValidationError } from './utils/errors.js';
+import { any, settle, some, withDeadline, withTimeout } from './utils/promises.js';
+import { callbackify, promisify } from './utils/promisify.js';
+import { RetryPolicy } from './utils/retryPolicy.js';
+import { MockTransport } from './utils/transports.js';
+
 console.log('⚡ 비동기 프로그래밍 학습 시작!');
 
 // ===== 1. 콜백(Callback) 패턴 =====
 console.log('\n📞 1. 콜백 패턴');
 
+// 예제의 가짜 API들이 공통으로 쓰는 입력 검증 에러 (에러 분류는 6장 참고)
+function invalidUserId(userId) {
+    return new ValidationError('유효하지 않은 사용자 ID', { field: 'userId', value: userId });
+}
+
 function fetchUserData(userId, callback) {
     console.log(`사용자 ${userId} 데이터 요청 중...`);
     
     setTimeout(() => {
+        if (userId <= 0) {
+            callback(invalidUserId(userId)); // 실패 시: (error)
+            return;
+        }
+        
         const userData = {
             id: userId,
             name: `사용자${userId}`,
@@ -27,6 +44,11 @@ function fetchUserPosts(userId, callback) {
     console.log(`사용자 ${userId}의 게시글 요청 중...`);
     
     setTimeout(() => {
+        if (userId <= 0) {
+            callback(invalidUserId(userId));
+            return;
+        }
+        
         const posts = [
             { id: 1, title: '첫 번째 게시글', userId },
             { id: 2, title: '두 번째 게시글', userId }
@@ -59,39 +81,9 @@ fetchUserData(1, (error, user) => {
 // ===== 2. Promise 패턴 =====
 console.log('\n🤝 2. Promise 패턴');
 
-function fetchUserDataPromise(userId) {
-    return new Promise((resolve, reject) => {
-        console.log(`Promise: 사용자 ${userId} 데이터 요청 중...`);
-        
-        setTimeout(() => {
-            if (userId <= 0) {
-                reject(new Error('유효하지 않은 사용자 ID'));
-                return;
-            }
-            
-            const userData = {
-                id: userId,
-                name: `사용자${userId}`,
-                email: `user${userId}@example.com`
-            };
-            resolve(userData);
-        }, 500);
-    });
-}
-
-function fetchUserPostsPromise(userId) {
-    return new Promise((resolve, reject) => {
-        console.log(`Promise: 사용자 ${userId}의 게시글 요청 중...`);
-        
-        setTimeout(() => {
-            const posts = [
-                { id: 1, title: 'Promise 게시글 1', userId },
-                { id: 2, title: 'Promise 게시글 2', userId }
-            ];
-            resolve(posts);
-        }, 300);
-    });
-}
+// 콜백 버전을 Promise 버전으로 변환 (에러 우선 콜백의 에러는 reject, 값은 resolve)
+const fetchUserDataPromise = promisify(fetchUserData);
+const fetchUserPostsPromise = promisify(fetchUserPosts);
 
 // Promise 체이닝
 fetchUserDataPromise(2)
@@ -155,6 +147,34 @@ Promise.race(raceRequests)
         console.log('Promise.race 승자:', winner);
     });
 
+// 시간 제한: 1초 걸리는 요청을 300ms에 끊음 (끝나면 타이머도 정리됨)
+withTimeout(fetchUserDataPromise(11), 300)
+    .catch(error => console.log(`withTimeout: ${error.name} [${error.code}]`));
+
+// 가장 먼저 성공한 하나 / 먼저 성공한 2개 (실패는 건너뜀)
+any([fetchUserDataPromise(-3), fetchUserDataPromise(12)])
+    .then(user => console.log('any 결과:', user.name));
+some([fetchUserDataPromise(13), fetchUserDataPromise(-4), fetchUserDataPromise(14)], 2)
+    .then(users => console.log('some(2) 결과:', users.map(user => user.name)));
+
+// settle: 성공/실패를 Either로 받아 fold로 처리
+settle([fetchUserDataPromise(15), fetchUserDataPromise(-5)])
+    .then(results => {
+        results.forEach(result => {
+            console.log('settle 결과:', result.fold(
+                error => `실패 (${error.code})`,
+                user => `성공 (${user.name})`
+            ));
+        });
+    });
+
+// 마감 전파: 바깥 2초 안에서 사용자(최대 1.5초) -> 남은 시간 안에 게시글
+withDeadline(2000, async deadline => {
+    const user = await withTimeout(fetchUserDataPromise(16), 1500, { deadline });
+    console.log(`마감까지 남은 시간: 약 ${Math.round(deadline.remaining() / 100) * 100}ms`);
+    return deadline.run(Infinity, () => fetchUserPostsPromise(user.id));
+}).then(posts => console.log('마감 안에 받은 게시글 수:', posts.length));
+
 // ===== 4. async/await 패턴 =====
 console.log('\n✨ 4. async/await 패턴');
 
@@ -188,94 +208,90 @@ fetchUserProfile(8).then(profile => {
     });
 });
 
+// 반대로 async 함수를 콜백 방식 코드에 넘길 때는 callbackify
+const fetchUserProfileCallback = callbackify(fetchUserProfile);
+fetchUserProfileCallback(17, (error, profile) => {
+    if (error) {
+        console.error('콜백 프로필 에러:', error.message);
+        return;
+    }
+    console.log('콜백으로 받은 프로필:', profile.user.name);
+});
+
 // ===== 5. 실무 패턴: API 요청 관리자 =====
 console.log('\n💼 5. 실무 패턴: API 요청 관리자');
 
-class ApiManager {
-    constructor(baseUrl = 'https://jsonplaceholder.typicode.com') {
-        this.baseUrl = baseUrl;
-        this.requestCache = new Map();
-    }
-    
-    // 재시도 로직이 있는 fetch
-    async fetchWithRetry(url, options = {}, maxRetries = 3) {
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`API 요청 시도 ${attempt}: ${url}`);
-                
-                // 실제 환경에서는 fetch를 사용하지만, 예제에서는 가짜 응답
-                await new Promise(resolve => setTimeout(resolve, 200));
-                
-                if (Math.random() > 0.7 && attempt < maxRetries) {
-                    throw new Error('네트워크 에러 (시뮬레이션)');
-                }
-                
-                return {
-                    ok: true,
-                    json: async () => ({ id: 1, title: '가짜 데이터' })
-                };
-                
-            } catch (error) {
-                console.log(`시도 ${attempt} 실패:`, error.message);
-                
-                if (attempt === maxRetries) {
-                    throw new Error(`모든 재시도 실패: ${error.message}`);
-                }
-                
-                // 지수 백오프 (재시도 간격을 점점 늘림)
-                const delay = Math.pow(2, attempt) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
+// ApiManager는 utils/apiManager.js (전송 어댑터, 재시도 정책, 캐시, 인터셉터를 묶은 클래스)
+
+// 예제용 가짜 서버 (실제 API를 쓰려면 transport 옵션을 빼면 됨)
+function createDemoTransport() {
+    return new MockTransport({ latency: 200 })
+        // 첫 요청은 일시적인 서버 에러 -> 재시도 후 성공
+        .once('GET', '/posts/2', () => ({ status: 503, statusText: 'Service Unavailable' }))
+        // 요청 한도 초과 -> Retry-After(초)만큼 기다렸다가 재시도
+        .once('GET', '/posts/3', () => ({
+            status: 429,
+            statusText: 'Too Many Requests',
+            headers: { 'Retry-After': '1' }
+        }))
+        .on('GET', '/posts/:id', (request, { id }) => {
+            if (Number(id) > 100) {
+                return { status: 404, statusText: 'Not Found', body: { error: '게시글 없음' } };
             }
-        }
-    }
-    
-    // 캐싱 기능이 있는 GET 요청
-    async get(endpoint, useCache = true) {
-        const cacheKey = `GET:${endpoint}`;
-        
-        if (useCache && this.requestCache.has(cacheKey)) {
-            console.log('캐시에서 반환:', endpoint);
-            return this.requestCache.get(cacheKey);
-        }
-        
-        try {
-            const response = await this.fetchWithRetry(`${this.baseUrl}${endpoint}`);
-            const data = await response.json();
-            
-            if (useCache) {
-                this.requestCache.set(cacheKey, data);
+            return { body: { id: Number(id), title: `게시글 ${id}` } };
+        })
+        // 만료된 토큰이면 401
+        .on('GET', '/me', request => {
+            if (request.headers.authorization !== 'Bearer fresh-token') {
+                return { status: 401, statusText: 'Unauthorized' };
             }
-            
-            return data;
-            
-        } catch (error) {
-            console.error('API GET 에러:', error.message);
-            throw error;
-        }
-    }
+            return { body: { name: '사용자1', requestId: request.headers['x-request-id'] } };
+        });
+}
+
+// 인증 헤더, 요청 ID, 토큰 갱신 인터셉터
+function installAuthInterceptors(api) {
+    let token = 'expired-token';
+    let nextRequestId = 1;
     
-    // 병렬 요청 처리
-    async getBatch(endpoints) {
-        const requests = endpoints.map(endpoint => this.get(endpoint));
-        
-        try {
-            const results = await Promise.allSettled(requests);
-            return results.map((result, index) => ({
-                endpoint: endpoints[index],
-                status: result.status,
-                data: result.status === 'fulfilled' ? result.value : null,
-                error: result.status === 'rejected' ? result.reason.message : null
-            }));
-        } catch (error) {
-            console.error('배치 요청 에러:', error.message);
-            throw error;
-        }
-    }
+    api.interceptors.request.use(request => {
+        request.headers.authorization = `Bearer ${token}`;
+        request.headers['x-request-id'] = `req-${nextRequestId++}`;
+        return request;
+    });
+    
+    // 401이면 토큰을 한 번만 갱신하고 실패한 요청을 다시 보냄
+    api.interceptors.response.use(null, async (error, { replayed, replay }) => {
+        if (error.status !== 401 || replayed) throw error;
+        console.log('  🔑 토큰 만료 -> 갱신 후 재요청');
+        token = await Promise.resolve('fresh-token');
+        return replay();
+    });
 }
 
 // API 매니저 사용 예제
 async function demonstrateApiManager() {
-    const api = new ApiManager();
+    const transport = createDemoTransport();
+    const api = new ApiManager(undefined, {
+        transport,
+        cache: { maxEntries: 50, ttl: 60 * 1000 },
+        retry: {
+            maxAttempts: 3,
+            baseDelay: 500,
+            jitter: 'equal',
+            onRetry: ({ attempt, error, delay }) => {
+                console.log(`  ↻ ${attempt}번째 실패 (${error.status ?? error.message}), ${delay}ms 후 재시도`);
+            }
+        }
+    });
+    
+    // 응답 로깅 인터셉터 (핸들로 나중에 제거)
+    // 토큰 갱신보다 먼저 등록해야 다시 보낸 요청의 응답이 한 번만 기록됨
+    const logging = api.interceptors.response.use(response => {
+        console.log(`  ← ${response.status} ${response.request.headers['x-request-id']}`);
+        return response;
+    });
+    installAuthInterceptors(api);
     
     try {
         // 단일 요청
@@ -286,12 +302,64 @@ async function demonstrateApiManager() {
         const cachedPost = await api.get('/posts/1');
         console.log('캐시된 응답:', cachedPost);
         
+        // 토큰 갱신 인터셉터가 401을 처리하고 요청을 다시 보냄
+        const me = await api.get('/me');
+        console.log('인증된 응답:', me);
+        api.interceptors.response.eject(logging);
+        
         // 병렬 요청
-        const batchResults = await api.getBatch(['/posts/1', '/posts/2', '/posts/3']);
+        // /posts/2는 503, /posts/3은 429 후 재시도로 성공, /posts/999는 404라 재시도 없이 실패
+        const batchResults = await api.getBatch(['/posts/1', '/posts/2', '/posts/3', '/posts/999']);
         console.log('배치 요청 결과:');
         batchResults.forEach(result => {
-            console.log(`  ${result.endpoint}: ${result.status}`);
+            const detail = result.httpStatus ? ` (HTTP ${result.httpStatus})` : '';
+            console.log(`  ${result.endpoint}: ${result.status}${detail}`);
+        });
+        
+        // 요청 취소: 100ms 뒤에 취소하면 진행 중인 요청과 재시도 대기가 모두 멈춤
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 100);
+        const abortedResults = await api.getBatch(['/posts/4', '/posts/5'], {
+            signal: controller.signal
+        });
+        abortedResults.forEach(result => {
+            console.log(`  ${result.endpoint}: ${result.aborted ? '취소됨' : result.status}`);
+        });
+        console.log('취소된 요청 캐시 여부:', api.requestCache.has('GET:/posts/4'));
+        
+        // 동시 요청 3개 제한 + 진행률 + 500ms 마감 (마감 후 남은 요청은 시간 초과)
+        const endpoints = Array.from({ length: 8 }, (_, i) => `/posts/${10 + i}`);
+        const limited = await api.getBatch(endpoints, {
+            concurrency: 3,
+            deadline: 500,
+            onProgress: ({ completed, total, result }) => {
+                const state = result.timedOut ? '시간 초과' : result.status;
+                console.log(`  [${completed}/${total}] ${result.endpoint}: ${state}`);
+            }
         });
+        console.log('마감 전에 끝난 요청:', limited.filter(r => r.status === 'fulfilled').length);
+        
+        // failFast: 첫 실패(404)에서 나머지를 취소하고 reject
+        try {
+            await api.getBatch(['/posts/998', '/posts/20', '/posts/21'], { mode: 'failFast' });
+        } catch (error) {
+            console.log('failFast 배치 실패:', error.message);
+        }
+        
+        // 동시에 들어온 같은 GET은 요청 하나를 공유
+        const before = transport.requests.length;
+        await Promise.all([api.get('/posts/6'), api.get('/posts/6'), api.get('/posts/6')]);
+        console.log('같은 GET 3번 -> 실제 요청 수:', transport.requests.length - before);
+        
+        // stale-while-revalidate: 만료된 값을 바로 받고 갱신은 뒤에서
+        await api.get('/posts/7', { ttl: 0 });
+        const stale = await api.get('/posts/7', { staleWhileRevalidate: true });
+        console.log('만료된 캐시 값:', stale, '/ 갱신 중인 요청:', api.pendingRequests.size);
+        
+        // '/posts/'로 시작하는 캐시를 모두 무효화
+        console.log('무효화된 항목 수:', api.invalidate('/posts/', { prefix: true }));
+        await new Promise(resolve => setTimeout(resolve, 300));
+        console.log('무효화 뒤 끝난 갱신은 캐시 안 함:', api.requestCache.has('GET:/posts/7'));
         
     } catch (error) {
         console.error('API 매니저 데모 에러:', error.message);
@@ -304,14 +372,8 @@ setTimeout(demonstrateApiManager, 6000);
 // ===== 6. 에러 처리 패턴 =====
 console.log('\n🛡️ 6. 고급 에러 처리');
 
-class AsyncError extends Error {
-    constructor(message, code, details) {
-        super(message);
-        this.name = 'AsyncError';
-        this.code = code;
-        this.details = details;
-    }
-}
+// 에러 분류 (utils/errors.js): 모두 AsyncError를 상속하고 고정된 code와 원래 에러(cause)를 가짐
+// NetworkError, TimeoutError, HttpError, AbortError, RetryExhaustedError, ValidationError
 
 async function robustAsyncFunction() {
     try {
@@ -330,7 +392,8 @@ async function robustAsyncFunction() {
         if (failures.length > 0) {
             console.log(`⚠️ ${failures.length}개의 작업이 실패했습니다.`);
             failures.forEach((failure, index) => {
-                console.log(`   실패 ${index + 1}: ${failure.reason.message}`);
+                const { code, message } = toAsyncError(failure.reason);
+                console.log(`   실패 ${index + 1} [${code}]: ${message}`);
             });
         }
         
@@ -341,7 +404,8 @@ async function robustAsyncFunction() {
         throw new AsyncError(
             '비동기 작업 처리 중 예상치 못한 에러',
             'UNEXPECTED_ERROR',
-            { originalError: error.message }
+            { originalError: error.message },
+            { cause: error }
         );
     }
 }
@@ -358,6 +422,13 @@ robustAsyncFunction()
         }
     });
 
+// 에러는 JSON으로 직렬화됨 (RetryExhaustedError는 시도별 에러까지 포함)
+new RetryPolicy({ maxAttempts: 2, baseDelay: 100 })
+    .execute(() => Promise.reject(new NetworkError('연결이 끊어졌습니다', { host: 'api.example.com' })))
+    .catch(error => {
+        console.log(`${error.name} (코드: ${error.code}):`, JSON.stringify(error, null, 2));
+    });
+
 setTimeout(() => {
     console.log('\n✅ 비동기 프로그래밍 학습 완료! 모든 패턴을 마스터했습니다! 🎉');
-}, 8000);
+}, 10000);
@@ -0,0 +1,315 @@
+/**
+ * API 요청 관리자
+ * 전송 어댑터, 재시도 정책, 응답 캐시, 인터셉터를 묶어 GET 요청과 배치 요청을 처리합니다.
+ * 모든 에러는 utils/errors.js의 AsyncError로 분류되어 reject됩니다.
+ *
+ *   const api = new ApiManager('https://api.example.com', { retry: { maxAttempts: 3 } });
+ *   const post = await api.get('/posts/1', { signal });
+ */
+
+import {
+    AbortError,
+    HttpError,
+    NetworkError,
+    TimeoutError,
+    toAsyncError,
+    ValidationError
+} from './errors.js';
+import { HttpRequest, HttpResponse } from './http.js';
+import { InterceptorManager } from './interceptors.js';
+import { ResponseCache } from './responseCache.js';
+import { RetryPolicy } from './retryPolicy.js';
+import { createFetchTransport, createNodeHttpTransport } from './transports.js';
+
+export class ApiManager {
+    // transport: send(request)를 구현한 전송 어댑터 (기본값은 fetch, 없으면 Node http)
+    // retry: RetryPolicy 또는 그 옵션 (요청마다 options.retry로 바꿀 수 있음)
+    // cache: ResponseCache 옵션 { maxEntries, ttl, staleWhileRevalidate }
+    // logger: 요청/캐시 로그를 남길 곳 (log, error 메서드, 기본 console)
+    constructor(baseUrl = 'https://jsonplaceholder.typicode.com', {
+        transport,
+        retry,
+        cache,
+        logger = console
+    } = {}) {
+        this.baseUrl = baseUrl;
+        this.logger = logger;
+        this.transport = transport ?? (typeof fetch === 'function'
+            ? createFetchTransport()
+            : createNodeHttpTransport());
+        this.retryPolicy = RetryPolicy.from(retry);
+        this.requestCache = new ResponseCache(cache);
+        this.pendingRequests = new Map(); // 캐시 키 -> 진행 중인 요청 (같은 GET은 하나로 합침)
+        this.interceptors = {
+            request: new InterceptorManager(),
+            response: new InterceptorManager()
+        };
+    }
+    
+    /**
+     * 인터셉터 체인을 거쳐 요청 한 번을 보냄 (재시도하면 시도마다 다시 호출됨)
+     * - 요청 인터셉터: (request) => request, HttpResponse를 반환하면 전송 없이 그 응답을 사용
+     * - 응답 인터셉터: (response, context) => response / (error, context) => 응답으로 복구 또는 throw
+     * context.replay()는 원래 요청을 체인 처음부터 한 번 더 보냄 (context.replayed로 무한 반복 방지)
+     * 전송 실패는 NetworkError, 2xx가 아닌 응답은 본문을 담은 HttpError로 응답 인터셉터에 전달됨
+     */
+    async dispatch(request, { replayed = false } = {}) {
+        let sent = request;
+        const context = {
+            get request() {
+                return sent;
+            },
+            replayed,
+            replay: () => this.dispatch(request, { replayed: true })
+        };
+        
+        const response = this.interceptors.request
+            .chain(Promise.resolve(request), { skip: value => value instanceof HttpResponse })
+            .then(result => {
+                if (result instanceof HttpResponse) return result;
+                sent = result ?? sent;
+                return this.transport.send(sent).catch(error => {
+                    throw toAsyncError(error, cause => new NetworkError(
+                        `네트워크 에러: ${cause.message}`,
+                        { method: sent.method, url: sent.url },
+                        { cause }
+                    ));
+                });
+            })
+            .then(async result => {
+                if (!result.ok) {
+                    throw await HttpError.fromResponse(result);
+                }
+                return result;
+            });
+        
+        return this.interceptors.response.chain(response, { args: [context] });
+    }
+    
+    // 재시도 로직이 있는 fetch (2xx가 아닌 응답은 status를 가진 HttpError로 throw)
+    // options: { method, headers, body, signal, retry }
+    // 재시도 여부와 간격은 재시도 정책이 결정 (4xx는 바로 실패, 429/503은 Retry-After만큼 대기)
+    // 재시도를 다 쓰면 시도별 에러를 담은 RetryExhaustedError
+    // options.signal이 취소되면 진행 중인 요청과 백오프 대기를 즉시 멈추고 AbortError로 reject
+    // 예전처럼 (url, maxRetries)로 불러도 됨 (retry: { maxAttempts: maxRetries + 1 })
+    async fetchWithRetry(url, options = {}) {
+        if (typeof options === 'number') {
+            options = { retry: { maxAttempts: options + 1 } };
+        }
+        const { retry = this.retryPolicy, ...requestOptions } = options;
+        
+        const attempts = RetryPolicy.from(retry).execute(async attempt => {
+            this.logger.log(`API 요청 시도 ${attempt}: ${url}`);
+            
+            try {
+                return await this.dispatch(new HttpRequest(url, requestOptions));
+            } catch (error) {
+                if (error.name !== 'AbortError' && error.name !== 'TimeoutError') {
+                    this.logger.log(`시도 ${attempt} 실패:`, error.message);
+                }
+                throw error;
+            }
+        }, { signal: requestOptions.signal });
+        
+        return attempts.catch(error => {
+            throw toAsyncError(error);
+        });
+    }
+    
+    /**
+     * 같은 키로 진행 중인 요청이 있으면 새로 보내지 않고 그 결과를 같이 기다림
+     * 각 호출자는 자기 signal로 기다림을 그만둘 수 있고, 기다리던 호출자가 모두 취소해야
+     * 실제 요청도 취소됨 (fetcher는 공유 요청용 signal을 받음)
+     * 나중에 합류한 호출자의 fetcher는 쓰이지 않으므로, 결과를 캐시할지(useCache)와
+     * ttl도 요청을 처음 보낸 호출자의 옵션을 따름
+     */
+    shareRequest(key, fetcher, signal) {
+        signal?.throwIfAborted();
+        
+        let shared = this.pendingRequests.get(key);
+        if (!shared) {
+            const controller = new AbortController();
+            shared = { controller, waiting: 0 };
+            shared.promise = fetcher(controller.signal).finally(() => {
+                if (this.pendingRequests.get(key) === shared) {
+                    this.pendingRequests.delete(key);
+                }
+            });
+            this.pendingRequests.set(key, shared);
+        }
+        shared.waiting++;
+        
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                if (--shared.waiting === 0) {
+                    // 그 사이 무효화되어 같은 키로 새 요청이 시작됐을 수 있음
+                    if (this.pendingRequests.get(key) === shared) {
+                        this.pendingRequests.delete(key);
+                    }
+                    shared.controller.abort(signal.reason);
+                }
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            
+            shared.promise.then(resolve, reject).finally(() => {
+                signal?.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+    
+    // 요청을 보내 캐시에 저장
+    // 취소됐거나 도중에 무효화된 요청(pendingRequests에서 빠진 요청)의 결과는 캐시하지 않음
+    async load(endpoint, { signal, ttl, useCache }) {
+        const cacheKey = `GET:${endpoint}`;
+        const response = await this.fetchWithRetry(`${this.baseUrl}${endpoint}`, { signal });
+        const data = await response.json();
+        signal?.throwIfAborted();
+        
+        const current = this.pendingRequests.get(cacheKey)?.controller.signal === signal;
+        if (useCache && current) {
+            this.requestCache.set(cacheKey, data, { ttl });
+        }
+        return data;
+    }
+    
+    /**
+     * 캐싱 기능이 있는 GET 요청
+     * options: { useCache = true, ttl, staleWhileRevalidate, signal }
+     * - ttl: 이 응답의 유효 시간 (생략하면 캐시의 기본 ttl)
+     *   같은 endpoint의 요청이 이미 진행 중이면 그 요청의 useCache/ttl이 적용됨 (shareRequest 참고)
+     * - staleWhileRevalidate: 만료된 캐시 값을 바로 돌려주고 뒤에서 새로 받아 둠
+     */
+    async get(endpoint, {
+        useCache = true,
+        ttl,
+        staleWhileRevalidate = this.requestCache.staleWhileRevalidate,
+        signal
+    } = {}) {
+        if (typeof endpoint !== 'string' || !endpoint.startsWith('/')) {
+            throw new ValidationError('endpoint는 /로 시작하는 문자열이어야 합니다', {
+                field: 'endpoint',
+                value: endpoint
+            });
+        }
+        
+        const cacheKey = `GET:${endpoint}`;
+        const cached = useCache ? this.requestCache.lookup(cacheKey) : null;
+        
+        if (cached?.fresh) {
+            this.logger.log('캐시에서 반환:', endpoint);
+            return cached.value;
+        }
+        
+        if (cached && staleWhileRevalidate) {
+            this.logger.log('만료된 캐시 반환 후 갱신:', endpoint);
+            this.shareRequest(cacheKey, s => this.load(endpoint, { signal: s, ttl, useCache }))
+                .catch(error => this.logger.error('백그라운드 갱신 에러:', error.message));
+            return cached.value;
+        }
+        
+        try {
+            return await this.shareRequest(
+                cacheKey,
+                s => this.load(endpoint, { signal: s, ttl, useCache }),
+                signal
+            );
+        } catch (thrown) {
+            const error = toAsyncError(thrown);
+            if (!(error instanceof AbortError || error instanceof TimeoutError)) {
+                this.logger.error(`API GET 에러 [${error.code}]:`, error.message);
+            }
+            throw error;
+        }
+    }
+    
+    // endpoint 캐시 무효화 (prefix: true면 '/posts/'처럼 앞부분이 같은 항목을 모두)
+    invalidate(endpoint, { prefix = false } = {}) {
+        const key = `GET:${endpoint}`;
+        for (const pendingKey of [...this.pendingRequests.keys()]) {
+            if (prefix ? pendingKey.startsWith(key) : pendingKey === key) {
+                this.pendingRequests.delete(pendingKey);
+            }
+        }
+        return prefix
+            ? this.requestCache.invalidatePrefix(key)
+            : Number(this.requestCache.invalidate(key));
+    }
+    
+    /**
+     * 여러 endpoint를 동시 실행 수를 제한하며 요청
+     * options
+     * - concurrency: 동시에 보낼 최대 요청 수 (기본 6)
+     * - onProgress: 하나 끝날 때마다 ({ completed, total, result }) 호출
+     * - mode: 'collect'면 실패해도 끝까지 모아서 반환,
+     *         'failFast'면 첫 실패에서 나머지를 취소하고 그 에러로 reject
+     * - deadline: 전체 제한 시간 (ms), 넘기면 남은 요청은 timedOut: true로 표시
+     * - signal: 취소되면 남은 요청은 aborted: true로 표시
+     * 결과는 endpoints 순서대로 { endpoint, status, data, error, code, httpStatus, aborted, timedOut }
+     */
+    async getBatch(endpoints, {
+        concurrency = 6,
+        onProgress,
+        mode = 'collect',
+        deadline,
+        signal
+    } = {}) {
+        const controller = new AbortController(); // failFast에서 나머지 요청 취소용
+        const batchSignal = AbortSignal.any([
+            controller.signal,
+            ...(signal ? [signal] : []),
+            ...(deadline !== undefined ? [AbortSignal.timeout(deadline)] : [])
+        ]);
+        
+        const results = new Array(endpoints.length);
+        let nextIndex = 0;
+        let completed = 0;
+        let firstError = null;
+        
+        const record = (index, status, value) => {
+            const reason = status === 'rejected' ? value : null;
+            results[index] = {
+                endpoint: endpoints[index],
+                status,
+                data: status === 'fulfilled' ? value : null,
+                error: reason?.message ?? null,
+                code: reason?.code ?? null,
+                httpStatus: reason?.status ?? null,
+                aborted: reason instanceof AbortError,
+                timedOut: reason instanceof TimeoutError
+            };
+            completed++;
+            onProgress?.({ completed, total: endpoints.length, result: results[index] });
+        };
+        
+        const worker = async () => {
+            while (nextIndex < endpoints.length) {
+                const index = nextIndex++;
+                
+                // 취소/마감 뒤에는 남은 endpoint를 보내지 않고 같은 이유로 실패 처리
+                if (batchSignal.aborted) {
+                    record(index, 'rejected', toAsyncError(batchSignal.reason));
+                    continue;
+                }
+                
+                try {
+                    record(index, 'fulfilled', await this.get(endpoints[index], { signal: batchSignal }));
+                } catch (error) {
+                    record(index, 'rejected', error);
+                    if (mode === 'failFast' && !firstError && !batchSignal.aborted) {
+                        firstError = error;
+                        controller.abort();
+                    }
+                }
+            }
+        };
+        
+        const workers = Math.max(1, Math.min(concurrency, endpoints.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+        
+        if (firstError) {
+            throw firstError;
+        }
+        return results;
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * ApiManager 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/async
+ * 네트워크 대신 MockTransport를, 실제 대기 대신 가짜 시계를 씁니다.
+ */
+
+import { ApiManager } from './apiManager.js';
+import { AbortError, RetryExhaustedError } from './errors.js';
+import { MockTransport } from './transports.js';
+
+const silent = { log() {}, error() {} };
+
+// 요청마다 latency(ms)가 걸리는 /posts/:id 서버
+function createTransport(latency = 100) {
+    return new MockTransport({ latency })
+        .on('GET', '/posts/:id', (request, { id }) => ({ body: { id: Number(id) } }));
+}
+
+function createApi(transport, options = {}) {
+    return new ApiManager('https://api.test', {
+        transport,
+        retry: { maxAttempts: 3, baseDelay: 1000, jitter: 'none' },
+        logger: silent,
+        ...options
+    });
+}
+
+// 가짜 시계의 타이머를 모두 실행해 요청을 끝냄
+async function settle(clock, request) {
+    await clock.runAllTimersAsync();
+    return request;
+}
+
+export default function (test) {
+    test.describe('ApiManager cancellation', function () {
+        this.beforeEach(function () {
+            this.useFakeTimers();
+        });
+        
+        this.it('should abort the in-flight request and skip caching', async function () {
+            const transport = createTransport();
+            const api = createApi(transport);
+            const controller = new AbortController();
+            
+            const request = api.get('/posts/1', { signal: controller.signal });
+            await this.clock.advanceTimersByTimeAsync(50);
+            controller.abort();
+            
+            await this.expect(request).rejects.toThrow(AbortError);
+            this.expect(transport.requests[0].signal.aborted).toBe(true);
+            this.expect(api.requestCache.has('GET:/posts/1')).toBe(false);
+            this.expect(api.pendingRequests.size).toBe(0);
+        });
+        
+        this.it('should not send anything for an already aborted signal', async function () {
+            const transport = createTransport();
+            const api = createApi(transport);
+            
+            await this.expect(api.get('/posts/1', { signal: AbortSignal.abort() }))
+                .rejects.toThrow(AbortError);
+            this.expect(transport.requests).toHaveLength(0);
+        });
+        
+        this.it('should stop waiting for the retry backoff', async function () {
+            const transport = new MockTransport().on('GET', '/flaky', () => ({ status: 503 }));
+            const api = createApi(transport);
+            const controller = new AbortController();
+            
+            const request = api.get('/flaky', { signal: controller.signal });
+            await this.clock.advanceTimersByTimeAsync(500); // 첫 실패 뒤 1000ms 백오프 중
+            controller.abort();
+            
+            await this.expect(request).rejects.toThrow(AbortError);
+            this.expect(transport.requests).toHaveLength(1);
+            this.expect(this.clock.getTimerCount()).toBe(0);
+        });
+        
+        this.it('should reject with the reason passed to abort()', async function () {
+            const api = createApi(createTransport());
+            const controller = new AbortController();
+            
+            const request = api.get('/posts/1', { signal: controller.signal });
+            controller.abort(new AbortError('사용자가 취소함'));
+            
+            await this.expect(request).rejects.toThrow('사용자가 취소함');
+        });
+        
+        this.it('should cancel a shared request only when every caller aborts', async function () {
+            const transport = createTransport();
+            const api = createApi(transport);
+            const first = new AbortController();
+            const second = new AbortController();
+            
+            const firstRequest = api.get('/posts/1', { signal: first.signal });
+            const secondRequest = api.get('/posts/1', { signal: second.signal });
+            await this.clock.advanceTimersByTimeAsync(10);
+            const [sent] = transport.requests;
+            
+            first.abort();
+            await this.expect(firstRequest).rejects.toThrow(AbortError);
+            this.expect(sent.signal.aborted).toBe(false);
+            
+            second.abort();
+            await this.expect(secondRequest).rejects.toThrow(AbortError);
+            this.expect(sent.signal.aborted).toBe(true);
+            this.expect(transport.requests).toHaveLength(1);
+        });
+        
+        this.it('should let the remaining callers finish when one aborts', async function () {
+            const api = createApi(createTransport());
+            const controller = new AbortController();
+            
+            const aborted = api.get('/posts/2', { signal: controller.signal });
+            const kept = api.get('/posts/2');
+            controller.abort();
+            await this.expect(aborted).rejects.toThrow(AbortError);
+            
+            await this.clock.advanceTimersByTimeAsync(100);
+            this.expect(await kept).toEqual({ id: 2 });
+            this.expect(api.requestCache.get('GET:/posts/2')).toEqual({ id: 2 });
+        });
+    });
+    
+    test.describe('ApiManager.fetchWithRetry', function () {
+        this.it('should treat a number as the old maxRetries argument', async function () {
+            const clock = this.useFakeTimers();
+            const transport = new MockTransport().on('GET', '/flaky', () => ({ status: 503 }));
+            const api = createApi(transport);
+            
+            const request = api.fetchWithRetry('https://api.test/flaky', 1)
+                .catch(error => error);
+            await clock.runAllTimersAsync();
+            const error = await request;
+            
+            this.expect(error).toBeInstanceOf(RetryExhaustedError);
+            this.expect(error.errors).toHaveLength(2);
+            this.expect(transport.requests).toHaveLength(2);
+        });
+    });
+    
+    test.describe('ApiManager caching', function () {
+        this.beforeEach(function () {
+            this.useFakeTimers();
+        });
+        
+        this.it('should serve fresh entries from the cache until the ttl passes', async function () {
+            const transport = createTransport();
+            const api = createApi(transport, { cache: { ttl: 1000 } });
+            
+            await settle(this.clock, api.get('/posts/1'));
+            await settle(this.clock, api.get('/posts/1'));
+            this.expect(transport.requests).toHaveLength(1);
+            
+            await this.clock.advanceTimersByTimeAsync(1000);
+            await settle(this.clock, api.get('/posts/1'));
+            await settle(this.clock, api.get('/posts/2', { ttl: 0 }));
+            await settle(this.clock, api.get('/posts/2'));
+            this.expect(transport.requests).toHaveLength(4);
+        });
+        
+        this.it('should not cache when useCache is false', async function () {
+            const api = createApi(createTransport());
+            
+            await settle(this.clock, api.get('/posts/1', { useCache: false }));
+            this.expect(api.requestCache.size).toBe(0);
+        });
+        
+        this.it('should share concurrent requests for the same endpoint', async function () {
+            const transport = createTransport();
+            const api = createApi(transport);
+            
+            const requests = Promise.all([api.get('/posts/3'), api.get('/posts/3'), api.get('/posts/4')]);
+            await this.clock.advanceTimersByTimeAsync(100);
+            
+            this.expect(await requests).toEqual([{ id: 3 }, { id: 3 }, { id: 4 }]);
+            this.expect(transport.requests).toHaveLength(2);
+            this.expect(api.pendingRequests.size).toBe(0);
+        });
+        
+        this.it('should return stale values and revalidate in the background', async function () {
+            const transport = createTransport();
+            const api = createApi(transport, { cache: { ttl: 1000, staleWhileRevalidate: true } });
+            
+            const first = api.get('/posts/5');
+            await this.clock.advanceTimersByTimeAsync(100);
+            await first;
+            api.requestCache.set('GET:/posts/5', { id: 5, stale: true }, { ttl: 0 });
+            
+            this.expect(await api.get('/posts/5')).toEqual({ id: 5, stale: true });
+            this.expect(api.pendingRequests.size).toBe(1);
+            
+            await this.clock.advanceTimersByTimeAsync(100);
+            this.expect(api.requestCache.get('GET:/posts/5')).toEqual({ id: 5 });
+            this.expect(transport.requests).toHaveLength(2);
+        });
+        
+        this.it('should not cache a request that finishes after invalidate', async function () {
+            const api = createApi(createTransport());
+            
+            const request = api.get('/posts/6');
+            await this.clock.advanceTimersByTimeAsync(50);
+            this.expect(api.invalidate('/posts/', { prefix: true })).toBe(0);
+            await this.clock.advanceTimersByTimeAsync(50);
+            
+            this.expect(await request).toEqual({ id: 6 });
+            this.expect(api.requestCache.has('GET:/posts/6')).toBe(false);
+        });
+        
+        this.it('should keep a newer shared request when an invalidated one is aborted', async function () {
+            const transport = createTransport();
+            const api = createApi(transport);
+            const controller = new AbortController();
+            
+            const stale = api.get('/posts/7', { signal: controller.signal });
+            await this.clock.advanceTimersByTimeAsync(10);
+            api.invalidate('/posts/7');
+            const fresh = api.get('/posts/7');
+            const current = api.pendingRequests.get('GET:/posts/7');
+            
+            controller.abort();
+            await this.expect(stale).rejects.toThrow(AbortError);
+            this.expect(api.pendingRequests.get('GET:/posts/7')).toBe(current);
+            
+            await this.clock.advanceTimersByTimeAsync(100);
+            this.expect(await fresh).toEqual({ id: 7 });
+            this.expect(api.requestCache.get('GET:/posts/7')).toEqual({ id: 7 });
+            this.expect(transport.requests).toHaveLength(2);
+        });
+        
+        this.it('should count invalidated entries', async function () {
+            const api = createApi(createTransport().on('GET', '/users/:id', () => ({ body: {} })));
+            const endpoints = ['/posts/1', '/posts/2', '/users/1'];
+            await settle(this.clock, Promise.all(endpoints.map(endpoint => api.get(endpoint))));
+            
+            this.expect(api.invalidate('/posts/1')).toBe(1);
+            this.expect(api.invalidate('/posts/1')).toBe(0);
+            this.expect(api.invalidate('/', { prefix: true })).toBe(2);
+        });
+    });
+    
+    test.describe('ApiManager.getBatch', function () {
+        // /posts/404는 404, 나머지는 latency 뒤 성공
+        const createBatchApi = (latency = 100) => {
+            const transport = new MockTransport({ latency })
+                .on('GET', '/posts/404', () => ({ status: 404, body: { error: '없음' } }))
+                .on('GET', '/posts/:id', (request, { id }) => ({ body: { id: Number(id) } }));
+            return { transport, api: createApi(transport) };
+        };
+        const endpoints = count => Array.from({ length: count }, (_, i) => `/posts/${i + 1}`);
+        
+        this.it('should keep at most `concurrency` requests in flight', async function () {
+            const clock = this.useFakeTimers();
+            const { transport, api } = createBatchApi();
+            
+            const batch = api.getBatch(endpoints(5), { concurrency: 2 });
+            await clock.advanceTimersByTimeAsync(50);
+            this.expect(transport.requests).toHaveLength(2);
+            await clock.advanceTimersByTimeAsync(100);
+            this.expect(transport.requests).toHaveLength(4);
+            await clock.runAllTimersAsync();
+            
+            const results = await batch;
+            this.expect(results.map(result => result.data.id)).toEqual([1, 2, 3, 4, 5]);
+            this.expect(transport.requests).toHaveLength(5);
+        });
+        
+        this.it('should collect failures and report progress', async function () {
+            const clock = this.useFakeTimers();
+            const { api } = createBatchApi();
+            const onProgress = this.fn();
+            
+            const batch = api.getBatch(['/posts/1', '/posts/404', '/posts/2'], { onProgress });
+            await clock.runAllTimersAsync();
+            const [ok, missing] = await batch;
+            
+            this.expect(ok).toEqual({
+                endpoint: '/posts/1',
+                status: 'fulfilled',
+                data: { id: 1 },
+                error: null,
+                code: null,
+                httpStatus: null,
+                aborted: false,
+                timedOut: false
+            });
+            this.expect(missing.status).toBe('rejected');
+            this.expect(missing.code).toBe('HTTP_ERROR');
+            this.expect(missing.httpStatus).toBe(404);
+            this.expect(onProgress.mock.calls.map(([{ completed, total }]) => `${completed}/${total}`))
+                .toEqual(['1/3', '2/3', '3/3']);
+        });
+        
+        this.it('should reject with the first error and cancel the rest in failFast mode', async function () {
+            const clock = this.useFakeTimers();
+            const transport = new MockTransport()
+                .on('GET', '/slow', () => new Promise(() => {})) // 응답하지 않음
+                .on('GET', '/missing', () => ({ status: 404 }))
+                .on('GET', '/posts/:id', () => ({ body: {} }));
+            const api = createApi(transport);
+            
+            const batch = api.getBatch(['/slow', '/missing', '/posts/3', '/posts/4'], {
+                concurrency: 2,
+                mode: 'failFast'
+            }).catch(error => error);
+            await clock.runAllTimersAsync();
+            const error = await batch;
+            
+            this.expect(error.code).toBe('HTTP_ERROR');
+            this.expect(error.status).toBe(404);
+            this.expect(transport.requests[0].signal.aborted).toBe(true);
+            this.expect(transport.requests).toHaveLength(2);
+        });
+        
+        this.it('should mark unfinished requests as aborted when the signal aborts', async function () {
+            const clock = this.useFakeTimers();
+            const { transport, api } = createBatchApi();
+            const controller = new AbortController();
+            
+            const batch = api.getBatch(endpoints(3), { concurrency: 1, signal: controller.signal });
+            await clock.advanceTimersByTimeAsync(150);
+            controller.abort();
+            const results = await batch;
+            
+            this.expect(results.map(result => (result.aborted ? 'aborted' : result.status)))
+                .toEqual(['fulfilled', 'aborted', 'aborted']);
+            this.expect(results[1].code).toBe('ABORTED');
+            this.expect(transport.requests).toHaveLength(2);
+        });
+        
+        // AbortSignal.timeout은 가짜 시계로 진행되지 않으므로 실제 시간으로 확인
+        this.it('should time out unfinished requests after the deadline', async function () {
+            const { transport, api } = createBatchApi(50);
+            
+            const results = await api.getBatch(endpoints(3), { concurrency: 1, deadline: 80 });
+            
+            this.expect(results.map(result => (result.timedOut ? 'timedOut' : result.status)))
+                .toEqual(['fulfilled', 'timedOut', 'timedOut']);
+            this.expect(results[2].code).toBe('TIMEOUT');
+            this.expect(transport.requests).toHaveLength(2);
+        });
+    });
+}
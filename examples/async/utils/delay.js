@@ -0,0 +1,23 @@
+/**
+ * 취소 가능한 대기
+ */
+
+// AbortSignal로 취소할 수 있는 대기 (취소되면 signal.reason으로 reject하고 타이머도 정리)
+export function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
@@ -0,0 +1,151 @@
+/**
+ * 비동기 에러 분류
+ * 모든 에러는 AsyncError를 상속하고 바뀌지 않는 code를 가집니다.
+ * 원래 에러는 cause로 남기고, JSON.stringify로 로그/응답에 그대로 실을 수 있습니다.
+ *
+ *   NetworkError        NETWORK_ERROR      연결 실패 등 응답을 받지 못함
+ *   TimeoutError        TIMEOUT            제한 시간 초과
+ *   HttpError           HTTP_ERROR         2xx가 아닌 응답 (status, body)
+ *   AbortError          ABORTED            AbortSignal로 취소됨
+ *   RetryExhaustedError RETRY_EXHAUSTED    재시도를 다 쓰거나 포기함 (errors에 시도별 에러)
+ *   ValidationError     VALIDATION_ERROR   잘못된 입력 (다시 시도해도 소용없음)
+ *
+ * retryable은 RetryPolicy가 상태 코드 없는 에러의 재시도 여부를 정할 때 씁니다.
+ */
+
+// cause나 시도별 에러를 JSON으로 바꿀 때 (Error는 기본적으로 {}로 직렬화됨)
+function serialize(error) {
+    if (typeof error?.toJSON === 'function') return error.toJSON();
+    if (error instanceof Error) {
+        return {
+            name: error.name,
+            message: error.message,
+            ...(error.code !== undefined && { code: error.code })
+        };
+    }
+    return error;
+}
+
+export class AsyncError extends Error {
+    constructor(message, code, details, { cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'AsyncError';
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            message: this.message,
+            ...(this.details !== undefined && { details: this.details }),
+            ...(this.cause !== undefined && { cause: serialize(this.cause) })
+        };
+    }
+}
+
+export class NetworkError extends AsyncError {
+    constructor(message, details, options) {
+        super(message, 'NETWORK_ERROR', details, options);
+        this.name = 'NetworkError';
+        this.retryable = true;
+    }
+}
+
+export class TimeoutError extends AsyncError {
+    constructor(message = '시간 초과', details, options) {
+        super(message, 'TIMEOUT', details, options);
+        this.name = 'TimeoutError';
+        this.retryable = true;
+    }
+}
+
+// 2xx가 아닌 응답 (재시도 정책이 status와 응답 헤더를 보고 판단)
+export class HttpError extends AsyncError {
+    constructor(response, { body = null } = {}) {
+        const { method, url } = response.request || {};
+        const status = [response.status, response.statusText].filter(Boolean).join(' ');
+        super(`HTTP ${status}: ${method} ${url}`, 'HTTP_ERROR', {
+            method,
+            url,
+            status: response.status,
+            body
+        });
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.body = body;
+        Object.defineProperty(this, 'response', { value: response }); // JSON에는 포함하지 않음
+    }
+
+    // 응답 본문까지 읽어서 만듦 (본문을 해석할 수 없으면 body는 null)
+    static async fromResponse(response) {
+        const body = await response.parse().catch(() => null);
+        return new HttpError(response, { body });
+    }
+}
+
+// name이 'AbortError'라서 DOMException과 같은 방식으로 구분할 수 있음
+export class AbortError extends AsyncError {
+    constructor(message = '요청이 취소되었습니다', details, options) {
+        super(message, 'ABORTED', details, options);
+        this.name = 'AbortError';
+        this.retryable = false;
+    }
+}
+
+export class RetryExhaustedError extends AsyncError {
+    constructor(errors, options) {
+        const last = errors[errors.length - 1];
+        super(
+            `${errors.length}번 시도 모두 실패: ${last?.message}`,
+            'RETRY_EXHAUSTED',
+            { attempts: errors.length },
+            { cause: last, ...options }
+        );
+        this.name = 'RetryExhaustedError';
+        this.errors = errors;
+    }
+
+    // 마지막 시도의 HTTP 상태 (배치 결과의 httpStatus, 바깥 재시도 정책에서 사용)
+    get status() {
+        return this.cause?.status;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), errors: this.errors.map(serialize) };
+    }
+}
+
+export class ValidationError extends AsyncError {
+    constructor(message, details, options) {
+        super(message, 'VALIDATION_ERROR', details, options);
+        this.name = 'ValidationError';
+        this.retryable = false;
+    }
+}
+
+/**
+ * 아무 에러나 분류된 AsyncError로 변환
+ * 이미 AsyncError면 그대로, 취소/시간 초과(DOMException 포함)는 AbortError/TimeoutError로,
+ * 나머지는 wrap(error)로 감쌈 (기본은 UNEXPECTED_ERROR 코드의 AsyncError)
+ */
+export function toAsyncError(error, wrap = defaultWrap) {
+    if (error instanceof AsyncError) return error;
+    if (error?.name === 'AbortError') {
+        return new AbortError(error.message, undefined, { cause: error });
+    }
+    if (error?.name === 'TimeoutError') {
+        return new TimeoutError(error.message, undefined, { cause: error });
+    }
+    return wrap(error);
+}
+
+function defaultWrap(error) {
+    return new AsyncError(
+        error?.message ?? String(error),
+        'UNEXPECTED_ERROR',
+        undefined,
+        { cause: error }
+    );
+}
@@ -0,0 +1,175 @@
+/**
+ * 에러 분류 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/async
+ */
+
+import { ApiManager } from './apiManager.js';
+import {
+    AbortError,
+    AsyncError,
+    HttpError,
+    NetworkError,
+    RetryExhaustedError,
+    TimeoutError,
+    toAsyncError,
+    ValidationError
+} from './errors.js';
+import { HttpRequest, HttpResponse } from './http.js';
+import { MockTransport } from './transports.js';
+
+// JSON.stringify를 거친 모양
+const toPlain = value => JSON.parse(JSON.stringify(value));
+
+export default function (test) {
+    test.describe('AsyncError subclasses', function () {
+        this.it('should have a fixed name, code and retryable flag', function () {
+            const errors = [
+                [new NetworkError('연결 실패'), 'NetworkError', 'NETWORK_ERROR', true],
+                [new TimeoutError(), 'TimeoutError', 'TIMEOUT', true],
+                [new AbortError(), 'AbortError', 'ABORTED', false],
+                [new ValidationError('잘못된 값'), 'ValidationError', 'VALIDATION_ERROR', false]
+            ];
+            
+            errors.forEach(([error, name, code, retryable]) => {
+                this.expect(error).toBeInstanceOf(AsyncError);
+                this.expect([error.name, error.code, error.retryable]).toEqual([name, code, retryable]);
+            });
+        });
+        
+        this.it('should serialize details and cause with toJSON', function () {
+            const cause = Object.assign(new Error('ECONNRESET'), { code: 'ECONNRESET' });
+            const error = new NetworkError('연결 실패', { host: 'api.test' }, { cause });
+            
+            this.expect(toPlain(error)).toEqual({
+                name: 'NetworkError',
+                code: 'NETWORK_ERROR',
+                message: '연결 실패',
+                details: { host: 'api.test' },
+                cause: { name: 'Error', message: 'ECONNRESET', code: 'ECONNRESET' }
+            });
+            this.expect(toPlain(new TimeoutError())).toEqual({
+                name: 'TimeoutError',
+                code: 'TIMEOUT',
+                message: '시간 초과'
+            });
+        });
+    });
+    
+    test.describe('HttpError', function () {
+        const request = new HttpRequest('https://api.test/posts/1');
+        
+        this.it('should read the response body and keep the response out of JSON', async function () {
+            const response = new HttpResponse({
+                status: 404,
+                statusText: 'Not Found',
+                body: { error: '없음' },
+                request
+            });
+            const error = await HttpError.fromResponse(response);
+            
+            this.expect(error.message).toBe('HTTP 404 Not Found: GET https://api.test/posts/1');
+            this.expect(error.status).toBe(404);
+            this.expect(error.body).toEqual({ error: '없음' });
+            this.expect(error.response).toBe(response);
+            this.expect(Object.keys(error)).not.toContain('response');
+            this.expect(toPlain(error).details).toEqual({
+                method: 'GET',
+                url: 'https://api.test/posts/1',
+                status: 404,
+                body: { error: '없음' }
+            });
+        });
+        
+        this.it('should use a null body when it cannot be parsed', async function () {
+            const response = new HttpResponse({
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: '{broken',
+                request
+            });
+            this.expect((await HttpError.fromResponse(response)).body).toBeNull();
+        });
+    });
+    
+    test.describe('RetryExhaustedError', function () {
+        this.it('should keep every attempt and expose the last status', function () {
+            const errors = [
+                new NetworkError('연결 실패'),
+                new HttpError(new HttpResponse({ status: 503 }))
+            ];
+            const error = new RetryExhaustedError(errors);
+            
+            this.expect(error.message).toBe(`2번 시도 모두 실패: ${errors[1].message}`);
+            this.expect(error.cause).toBe(errors[1]);
+            this.expect(error.status).toBe(503);
+            this.expect(toPlain(error).details).toEqual({ attempts: 2 });
+            this.expect(toPlain(error).errors.map(({ code }) => code))
+                .toEqual(['NETWORK_ERROR', 'HTTP_ERROR']);
+        });
+    });
+    
+    test.describe('toAsyncError', function () {
+        this.it('should return AsyncErrors as they are', function () {
+            const error = new ValidationError('잘못된 값');
+            this.expect(toAsyncError(error)).toBe(error);
+        });
+        
+        this.it('should convert DOMException cancellations and timeouts', function () {
+            const aborted = new DOMException('취소됨', 'AbortError');
+            const timedOut = new DOMException('시간 초과', 'TimeoutError');
+            
+            this.expect(toAsyncError(aborted)).toBeInstanceOf(AbortError);
+            this.expect(toAsyncError(aborted).cause).toBe(aborted);
+            this.expect(toAsyncError(timedOut)).toBeInstanceOf(TimeoutError);
+        });
+        
+        this.it('should wrap anything else', function () {
+            const wrapped = toAsyncError('문자열 에러');
+            this.expect(wrapped.code).toBe('UNEXPECTED_ERROR');
+            this.expect(wrapped.message).toBe('문자열 에러');
+            
+            const custom = toAsyncError(new Error('끊김'), cause => new NetworkError(cause.message));
+            this.expect(custom).toBeInstanceOf(NetworkError);
+        });
+    });
+    
+    test.describe('ApiManager errors', function () {
+        const silent = { log() {}, error() {} };
+        const createApi = transport => new ApiManager('https://api.test', {
+            transport,
+            retry: { maxAttempts: 1 },
+            logger: silent
+        });
+        
+        this.it('should reject invalid endpoints with ValidationError', async function () {
+            const api = createApi(new MockTransport());
+            await this.expect(api.get('posts')).rejects.toThrow(ValidationError);
+        });
+        
+        this.it('should wrap transport failures in NetworkError', async function () {
+            const cause = new Error('ECONNREFUSED');
+            const api = createApi(new MockTransport().on('GET', '/down', () => {
+                throw cause;
+            }));
+            
+            // 재시도할 수 있는 에러라 마지막 시도의 에러가 cause로 남음
+            const { cause: error } = await api.get('/down').catch(reason => reason);
+            this.expect(error).toBeInstanceOf(NetworkError);
+            this.expect(error.cause).toBe(cause);
+            this.expect(error.details).toEqual({ method: 'GET', url: 'https://api.test/down' });
+        });
+        
+        this.it('should wrap exhausted retries in RetryExhaustedError', async function () {
+            const api = new ApiManager('https://api.test', {
+                transport: new MockTransport().on('GET', '/busy', () => ({ status: 503 })),
+                retry: { maxAttempts: 2, baseDelay: 0 },
+                logger: silent
+            });
+            
+            const error = await api.get('/busy').catch(reason => reason);
+            this.expect(error).toBeInstanceOf(RetryExhaustedError);
+            this.expect(error.errors).toHaveLength(2);
+            this.expect(error.status).toBe(503);
+        });
+    });
+}
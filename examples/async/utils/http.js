@@ -0,0 +1,102 @@
+/**
+ * HTTP 요청/응답 객체
+ * 전송 방식(fetch, Node http, 목)과 상관없이 ApiManager가 같은 모양으로 다루도록 합니다.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// 헤더 이름은 소문자로 통일
+function normalizeHeaders(headers = {}) {
+    // Headers/Map처럼 entries()가 있으면 그대로, 아니면 일반 객체로 취급
+    const entries = typeof headers.entries === 'function'
+        ? headers.entries()
+        : Object.entries(headers);
+    return Object.fromEntries(
+        [...entries].map(([name, value]) => [name.toLowerCase(), value])
+    );
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' &&
+        (Object.getPrototypeOf(value) === Object.prototype || Array.isArray(value));
+}
+
+// 본문을 전송 가능한 형태로 (일반 객체/배열은 JSON 문자열)
+function encodeBody(body, headers) {
+    if (isPlainObject(body)) {
+        headers['content-type'] ??= 'application/json';
+        return JSON.stringify(body);
+    }
+    return body;
+}
+
+function toBytes(body) {
+    if (body === undefined || body === null) return new Uint8Array(0);
+    if (body instanceof Uint8Array) return body;
+    if (body instanceof ArrayBuffer) return new Uint8Array(body);
+    if (ArrayBuffer.isView(body)) {
+        return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+    }
+    return encoder.encode(String(body));
+}
+
+export class HttpRequest {
+    constructor(url, { method = 'GET', headers = {}, body, signal } = {}) {
+        this.url = url;
+        this.method = method.toUpperCase();
+        this.headers = normalizeHeaders(headers);
+        this.body = encodeBody(body, this.headers);
+        this.signal = signal;
+    }
+}
+
+export class HttpResponse {
+    constructor({
+        status = 200,
+        statusText = '',
+        headers = {},
+        body,
+        url = '',
+        request = null
+    } = {}) {
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = normalizeHeaders(headers);
+        this.url = url;
+        this.request = request;
+        
+        // 일반 객체를 본문으로 주면 JSON 응답으로 취급 (목 응답 작성용)
+        this.bodyBytes = toBytes(encodeBody(body, this.headers));
+    }
+    
+    get ok() {
+        return this.status >= 200 && this.status < 300;
+    }
+    
+    header(name) {
+        return this.headers[name.toLowerCase()];
+    }
+    
+    async text() {
+        return decoder.decode(this.bodyBytes);
+    }
+    
+    async json() {
+        const text = await this.text();
+        return text ? JSON.parse(text) : null;
+    }
+    
+    async arrayBuffer() {
+        const { buffer, byteOffset, byteLength } = this.bodyBytes;
+        return buffer.slice(byteOffset, byteOffset + byteLength);
+    }
+    
+    // Content-Type에 따라 JSON, 문자열, 바이너리(Uint8Array) 중 하나로 변환
+    async parse() {
+        const type = this.header('content-type') || '';
+        if (/[/+]json\b/.test(type)) return this.json();
+        if (type.startsWith('text/') || /xml|javascript|urlencoded/.test(type)) return this.text();
+        return this.bodyBytes;
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * 요청/응답 인터셉터 체인
+ * 등록한 순서대로 실행되고, use()가 돌려준 핸들로 나중에 제거(eject)할 수 있습니다.
+ *
+ *   const handle = api.interceptors.request.use(request => {
+ *       request.headers.authorization = `Bearer ${token}`;
+ *       return request;
+ *   });
+ *   api.interceptors.request.eject(handle);
+ */
+
+export class InterceptorManager {
+    constructor() {
+        this.handlers = new Map();
+        this.nextHandle = 1;
+    }
+    
+    // fulfilled: 이전 단계의 값을 받아 다음 단계로 넘길 값을 반환 (async 가능)
+    // rejected: 이전 단계의 에러를 받아 값으로 복구하거나 다시 throw
+    use(fulfilled, rejected) {
+        const handle = this.nextHandle++;
+        this.handlers.set(handle, { fulfilled, rejected });
+        return handle;
+    }
+    
+    eject(handle) {
+        return this.handlers.delete(handle);
+    }
+    
+    clear() {
+        this.handlers.clear();
+    }
+    
+    get size() {
+        return this.handlers.size;
+    }
+    
+    // promise에 등록된 순서대로 then(fulfilled, rejected)를 이어 붙임
+    // skip(value)가 true인 값은 fulfilled를 건너뛰고 그대로 흘려보냄
+    chain(promise, { skip = () => false, args = [] } = {}) {
+        let result = promise;
+        for (const { fulfilled, rejected } of this.handlers.values()) {
+            result = result.then(
+                value => (fulfilled && !skip(value) ? fulfilled(value, ...args) : value),
+                rejected && (error => rejected(error, ...args))
+            );
+        }
+        return result;
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * 인터셉터 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/async
+ */
+
+import { ApiManager } from './apiManager.js';
+import { HttpError } from './errors.js';
+import { HttpResponse } from './http.js';
+import { InterceptorManager } from './interceptors.js';
+import { MockTransport } from './transports.js';
+
+const silent = { log() {}, error() {} };
+
+function createApi(transport) {
+    return new ApiManager('https://api.test', {
+        transport,
+        retry: { maxAttempts: 1 },
+        logger: silent
+    });
+}
+
+export default function (test) {
+    test.describe('InterceptorManager', function () {
+        this.it('should run handlers in the order they were added', async function () {
+            const manager = new InterceptorManager();
+            manager.use(value => `${value}a`);
+            manager.use(async value => `${value}b`);
+            manager.use(value => `${value}c`);
+            
+            this.expect(await manager.chain(Promise.resolve(''))).toBe('abc');
+        });
+        
+        this.it('should eject handlers by handle and report the size', async function () {
+            const manager = new InterceptorManager();
+            manager.use(value => value + 1);
+            const handle = manager.use(value => value * 10);
+            manager.use(value => value + 2);
+            
+            this.expect(manager.size).toBe(3);
+            this.expect(manager.eject(handle)).toBe(true);
+            this.expect(manager.eject(handle)).toBe(false);
+            this.expect(manager.size).toBe(2);
+            this.expect(await manager.chain(Promise.resolve(0))).toBe(3);
+            
+            manager.clear();
+            this.expect(await manager.chain(Promise.resolve(0))).toBe(0);
+        });
+        
+        this.it('should let a rejected handler recover and pass args', async function () {
+            const manager = new InterceptorManager();
+            const fulfilled = this.fn(value => value);
+            manager.use(null, (error, context) => `${context.name}: ${error.message}`);
+            manager.use(fulfilled);
+            
+            const result = await manager.chain(Promise.reject(new Error('실패')), {
+                args: [{ name: 'ctx' }]
+            });
+            this.expect(result).toBe('ctx: 실패');
+            this.expect(fulfilled).toHaveBeenCalledWith('ctx: 실패', { name: 'ctx' });
+        });
+        
+        this.it('should pass skipped values through untouched', async function () {
+            const manager = new InterceptorManager();
+            manager.use(value => value.toUpperCase());
+            
+            const skip = value => typeof value !== 'string';
+            this.expect(await manager.chain(Promise.resolve('a'), { skip })).toBe('A');
+            this.expect(await manager.chain(Promise.resolve(1), { skip })).toBe(1);
+        });
+    });
+    
+    test.describe('ApiManager interceptors', function () {
+        this.it('should send the request returned by request interceptors', async function () {
+            const transport = new MockTransport()
+                .on('GET', '/me', request => ({ body: { auth: request.headers.authorization } }));
+            const api = createApi(transport);
+            api.interceptors.request.use(request => {
+                request.headers.authorization = 'Bearer token';
+                return request;
+            });
+            
+            this.expect(await api.get('/me')).toEqual({ auth: 'Bearer token' });
+        });
+        
+        this.it('should skip the transport when a request interceptor returns a response', async function () {
+            const transport = new MockTransport();
+            const api = createApi(transport);
+            api.interceptors.request.use(request => new HttpResponse({ body: { cached: true }, request }));
+            const later = this.fn(request => request);
+            api.interceptors.request.use(later);
+            
+            this.expect(await api.get('/anything')).toEqual({ cached: true });
+            this.expect(transport.requests).toHaveLength(0);
+            this.expect(later).not.toHaveBeenCalled();
+        });
+        
+        this.it('should pass HttpError to response interceptors and replay once', async function () {
+            let token = 'expired';
+            const transport = new MockTransport().on('GET', '/me', request =>
+                (request.headers.authorization === 'Bearer fresh'
+                    ? { body: { name: '사용자1' } }
+                    : { status: 401 }));
+            const api = createApi(transport);
+            const seen = [];
+            
+            api.interceptors.request.use(request => {
+                request.headers.authorization = `Bearer ${token}`;
+                return request;
+            });
+            api.interceptors.response.use(null, async (error, { replayed, replay }) => {
+                seen.push([error.constructor.name, error.status, replayed]);
+                if (error.status !== 401 || replayed) throw error;
+                token = 'fresh';
+                return replay();
+            });
+            
+            this.expect(await api.get('/me')).toEqual({ name: '사용자1' });
+            this.expect(seen).toEqual([['HttpError', 401, false]]);
+            this.expect(transport.requests).toHaveLength(2);
+        });
+        
+        this.it('should not replay forever', async function () {
+            const transport = new MockTransport().on('GET', '/me', () => ({ status: 401 }));
+            const api = createApi(transport);
+            api.interceptors.response.use(null, (error, { replayed, replay }) => {
+                if (replayed) throw error;
+                return replay();
+            });
+            
+            await this.expect(api.get('/me')).rejects.toThrow(HttpError);
+            this.expect(transport.requests).toHaveLength(2);
+        });
+        
+        this.it('should stop running an ejected interceptor', async function () {
+            const transport = new MockTransport().on('GET', '/posts/:id', () => ({ body: {} }));
+            const api = createApi(transport);
+            const logged = [];
+            const handle = api.interceptors.response.use(response => {
+                logged.push(response.status);
+                return response;
+            });
+            
+            await api.get('/posts/1', { useCache: false });
+            api.interceptors.response.eject(handle);
+            await api.get('/posts/2', { useCache: false });
+            this.expect(logged).toEqual([200]);
+        });
+    });
+}
@@ -0,0 +1,179 @@
+/**
+ * Promise 유틸리티: 시간 제한, 마감 전파, 조합기
+ * 만든 타이머는 작업이 끝나는 즉시 정리하므로 프로세스를 붙잡아 두지 않습니다.
+ *
+ *   const user = await withTimeout(fetchUserDataPromise(1), 300);
+ *
+ *   await withDeadline(1000, async deadline => {
+ *       const user = await withTimeout(signal => loadUser(signal), 300, { deadline });
+ *       return deadline.run(200, child => loadPosts(user, child.signal)); // 남은 시간 안에서
+ *   });
+ */
+
+import { Either } from '../../functional-programming/utils/either.js';
+import { TimeoutError } from './errors.js';
+
+// signal이 취소되면 promise를 기다리지 않고 signal.reason으로 reject (끝나면 리스너 제거)
+function raceSignal(promise, signal) {
+    if (signal.aborted) return Promise.reject(signal.reason);
+    
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        Promise.resolve(promise)
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * 마감 시각
+ * 부모 마감이 있으면 둘 중 이른 쪽을 따르고, 부모가 만료/취소되면 자식도 같이 취소됩니다.
+ * signal은 마감이 지나면 TimeoutError를 reason으로 abort되므로
+ * fetch나 ApiManager.get({ signal })에 그대로 넘길 수 있습니다.
+ * 타이머를 쓰므로 다 쓰면 clear()를 호출해야 합니다 (withDeadline/run은 자동으로 정리).
+ */
+export class Deadline {
+    constructor(ms, { parent, message } = {}) {
+        const remaining = Math.min(ms, parent ? parent.remaining() : Infinity);
+        this.expiresAt = Date.now() + remaining;
+        this.parent = parent;
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        
+        if (Number.isFinite(remaining)) {
+            this.timer = setTimeout(() => {
+                this.controller.abort(new TimeoutError(
+                    message ?? `${ms}ms 안에 끝나지 않았습니다`,
+                    { timeout: ms }
+                ));
+            }, remaining);
+        }
+        
+        if (parent) {
+            this.onParentAbort = () => this.controller.abort(parent.signal.reason);
+            if (parent.signal.aborted) {
+                this.onParentAbort();
+            } else {
+                parent.signal.addEventListener('abort', this.onParentAbort, { once: true });
+            }
+        }
+        this.signal.addEventListener('abort', () => this.clear(), { once: true });
+    }
+    
+    remaining() {
+        return Math.max(0, this.expiresAt - Date.now());
+    }
+    
+    get expired() {
+        return this.signal.aborted;
+    }
+    
+    throwIfExpired() {
+        this.signal.throwIfAborted();
+    }
+    
+    // 이 마감 안에서 더 짧은 마감을 만듦 (ms를 생략하면 남은 시간 전부)
+    child(ms = Infinity, options) {
+        return new Deadline(ms, { ...options, parent: this });
+    }
+    
+    // 자식 마감 안에서 fn(child)를 실행하고 끝나면 자식 타이머를 정리
+    run(ms, fn, options) {
+        return runWithin(this.child(ms, options), fn);
+    }
+    
+    clear() {
+        clearTimeout(this.timer);
+        this.parent?.signal.removeEventListener('abort', this.onParentAbort);
+    }
+}
+
+async function runWithin(deadline, fn) {
+    try {
+        return await raceSignal(fn(deadline), deadline.signal);
+    } finally {
+        deadline.clear();
+    }
+}
+
+/**
+ * ms 안에 fn(deadline)이 끝나지 않으면 TimeoutError로 reject
+ * options.deadline(부모 마감)을 주면 그 안에서만 실행되어 바깥 마감이 안쪽까지 전파됨
+ */
+export function withDeadline(ms, fn, { deadline, message } = {}) {
+    return runWithin(new Deadline(ms, { parent: deadline, message }), fn);
+}
+
+/**
+ * promise가 ms 안에 끝나지 않으면 TimeoutError로 reject
+ * 함수를 넘기면 시간 초과 때 abort되는 signal을 받아 실제 작업도 멈출 수 있음
+ * options: { deadline, message }
+ */
+export function withTimeout(work, ms, options) {
+    return withDeadline(
+        ms,
+        deadline => (typeof work === 'function' ? work(deadline.signal) : work),
+        options
+    );
+}
+
+/**
+ * 먼저 성공한 n개의 값을 성공한 순서대로 반환
+ * n개를 채울 수 없을 만큼 실패하면 실패 이유들을 담은 AggregateError로 reject
+ */
+export function some(promises, n) {
+    const list = [...promises];
+    if (n > list.length) {
+        return Promise.reject(new RangeError(`${list.length}개 중 ${n}개가 성공할 수 없습니다`));
+    }
+    if (n <= 0) return Promise.resolve([]);
+    
+    return new Promise((resolve, reject) => {
+        const values = [];
+        const errors = [];
+        let settled = false; // 결과가 정해진 뒤에 끝난 promise는 무시
+        
+        list.forEach(promise => {
+            Promise.resolve(promise).then(
+                value => {
+                    if (settled) return;
+                    values.push(value);
+                    if (values.length === n) {
+                        settled = true;
+                        resolve(values);
+                    }
+                },
+                error => {
+                    if (settled) return;
+                    errors.push(error);
+                    if (errors.length === list.length - n + 1) {
+                        settled = true;
+                        reject(new AggregateError(errors, `${n}개가 성공하지 못했습니다`));
+                    }
+                }
+            );
+        });
+    });
+}
+
+// 가장 먼저 성공한 값 (모두 실패하거나 빈 목록이면 AggregateError, Promise.any와 같음)
+export function any(promises) {
+    const list = [...promises];
+    if (list.length === 0) {
+        return Promise.reject(new AggregateError([], '성공한 promise가 없습니다'));
+    }
+    return some(list, 1).then(([value]) => value);
+}
+
+/**
+ * 모든 promise를 기다려 성공은 Either.right(값), 실패는 Either.left(에러)로 반환
+ * (functional-programming/utils/either.js의 Either라서 map/fold를 그대로 사용 가능)
+ */
+export function settle(promises) {
+    return Promise.all(
+        [...promises].map(promise =>
+            Promise.resolve(promise).then(Either.right, Either.left)
+        )
+    );
+}
@@ -0,0 +1,156 @@
+/**
+ * Promise 유틸리티 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/async
+ * 시간 제한은 가짜 시계로 진행시킵니다.
+ */
+
+import { AbortError, TimeoutError } from './errors.js';
+import { any, Deadline, settle, some, withDeadline, withTimeout } from './promises.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(resolve, ms, value));
+const failAfter = (ms, error) => new Promise((resolve, reject) => setTimeout(reject, ms, error));
+
+export default function (test) {
+    test.describe('withTimeout', function () {
+        this.beforeEach(function () {
+            this.useFakeTimers();
+        });
+        
+        this.it('should resolve when the work finishes in time', async function () {
+            const result = withTimeout(delay(100, 'ok'), 200);
+            await this.clock.advanceTimersByTimeAsync(100);
+            
+            this.expect(await result).toBe('ok');
+            this.expect(this.clock.getTimerCount()).toBe(0);
+        });
+        
+        this.it('should reject with TimeoutError after ms', async function () {
+            const result = withTimeout(delay(500), 200, { message: '느림' }).catch(reason => reason);
+            await this.clock.advanceTimersByTimeAsync(200);
+            const error = await result;
+            
+            this.expect(error).toBeInstanceOf(TimeoutError);
+            this.expect(error.message).toBe('느림');
+            this.expect(error.details).toEqual({ timeout: 200 });
+        });
+        
+        this.it('should abort the signal given to a work function', async function () {
+            let received;
+            const result = withTimeout(signal => {
+                received = signal;
+                return delay(500);
+            }, 200).catch(reason => reason);
+            
+            this.expect(received.aborted).toBe(false);
+            await this.clock.advanceTimersByTimeAsync(200);
+            this.expect(received.reason).toBe(await result);
+            this.expect(received.reason).toBeInstanceOf(TimeoutError);
+        });
+    });
+    
+    test.describe('withDeadline', function () {
+        this.beforeEach(function () {
+            this.useFakeTimers();
+        });
+        
+        this.it('should limit a child to the time left on its parent', async function () {
+            const seen = [];
+            const result = withDeadline(1000, async deadline => {
+                await delay(700);
+                return deadline.run(500, child => {
+                    seen.push(child.remaining());
+                    return delay(500, 'late');
+                });
+            }).catch(reason => reason);
+            
+            await this.clock.advanceTimersByTimeAsync(1000);
+            this.expect(seen).toEqual([300]);
+            this.expect(await result).toBeInstanceOf(TimeoutError);
+            this.expect(this.clock.getTimerCount()).toBe(1); // 남은 건 delay(500)뿐
+        });
+        
+        this.it('should abort children when the parent is aborted', async function () {
+            const parent = new Deadline(1000);
+            const child = parent.child(500);
+            parent.controller.abort(new AbortError('취소'));
+            
+            this.expect(child.expired).toBe(true);
+            this.expect(child.signal.reason).toBe(parent.signal.reason);
+            this.expect(() => child.throwIfExpired()).toThrow(AbortError);
+            this.expect(this.clock.getTimerCount()).toBe(0);
+        });
+        
+        this.it('should start a child of an expired parent already aborted', async function () {
+            const parent = new Deadline(100);
+            await this.clock.advanceTimersByTimeAsync(100);
+            
+            await this.expect(withDeadline(500, () => 'never', { deadline: parent }))
+                .rejects.toThrow(TimeoutError);
+        });
+        
+        this.it('should clear its timers once the work is done', async function () {
+            const result = withDeadline(1000, deadline =>
+                deadline.run(500, () => delay(100, 'done')));
+            
+            this.expect(this.clock.getTimerCount()).toBe(3);
+            await this.clock.advanceTimersByTimeAsync(100);
+            this.expect(await result).toBe('done');
+            this.expect(this.clock.getTimerCount()).toBe(0);
+        });
+    });
+    
+    test.describe('some and any', function () {
+        this.beforeEach(function () {
+            this.useFakeTimers();
+        });
+        
+        this.it('should resolve the first n values in the order they succeed', async function () {
+            const result = some([delay(300, 'a'), delay(100, 'b'), failAfter(50, new Error('x')), delay(200, 'c')], 2);
+            await this.clock.runAllTimersAsync();
+            
+            this.expect(await result).toEqual(['b', 'c']);
+        });
+        
+        this.it('should reject with AggregateError once n can no longer succeed', async function () {
+            const errors = [new Error('1'), new Error('2')];
+            const result = some([failAfter(100, errors[0]), delay(300, 'a'), failAfter(200, errors[1])], 2)
+                .catch(reason => reason);
+            await this.clock.advanceTimersByTimeAsync(200);
+            const error = await result;
+            
+            this.expect(error).toBeInstanceOf(AggregateError);
+            this.expect(error.errors).toEqual(errors);
+        });
+        
+        this.it('should check n against the number of promises', async function () {
+            await this.expect(some([Promise.resolve(1)], 2)).rejects.toThrow(RangeError);
+            this.expect(await some([Promise.resolve(1)], 0)).toEqual([]);
+        });
+        
+        this.it('should resolve the first success with any', async function () {
+            const result = any([failAfter(50, new Error('x')), delay(200, 'slow'), delay(100, 'fast')]);
+            await this.clock.runAllTimersAsync();
+            
+            this.expect(await result).toBe('fast');
+        });
+        
+        this.it('should reject an empty list with AggregateError', async function () {
+            const error = await any([]).catch(reason => reason);
+            this.expect(error).toBeInstanceOf(AggregateError);
+            this.expect(error.errors).toEqual([]);
+        });
+    });
+    
+    test.describe('settle', function () {
+        this.it('should keep the input order and return Either values', async function () {
+            const error = new Error('실패');
+            const results = await settle([Promise.resolve(1), Promise.reject(error), 3]);
+            
+            this.expect(results.map(result => result.isRight)).toEqual([true, false, true]);
+            this.expect(results.map(result => result.map(value => value * 10).fold(
+                reason => reason.message,
+                value => value
+            ))).toEqual([10, '실패', 30]);
+        });
+    });
+}
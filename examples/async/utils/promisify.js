@@ -0,0 +1,106 @@
+/**
+ * 콜백 <-> Promise 변환
+ * 콜백 API 하나만 만들어 두고 Promise 버전은 promisify로, 반대로 async 함수를
+ * 콜백만 받는 코드에 넘길 때는 callbackify로 만듭니다. 두 함수 모두 this를 그대로 전달합니다.
+ *
+ *   const fetchUserDataPromise = promisify(fetchUserData);
+ *   const readPair = promisify(readPairCb, { multiArgs: ['key', 'value'] }); // { key, value }
+ *   const load = promisify(loadCb, { shape: 'successError' });             // (onSuccess, onError)
+ */
+
+/**
+ * 콜백 모양 (인자 맨 뒤에 붙일 콜백들을 만듦, 콜백이 받은 값들은 배열로 resolve)
+ * - errorFirst: callback(error, ...values) (Node 방식)
+ * - successError: onSuccess(...values), onError(error) 두 개
+ * - valueOnly: callback(...values) (실패가 없는 API)
+ */
+export const callbackShapes = {
+    errorFirst: (resolve, reject) => [
+        (error, ...values) => (error ? reject(error) : resolve(values))
+    ],
+    successError: (resolve, reject) => [
+        (...values) => resolve(values),
+        error => reject(error)
+    ],
+    valueOnly: resolve => [
+        (...values) => resolve(values)
+    ]
+};
+
+function resolveShape(shape) {
+    const build = typeof shape === 'function' ? shape : callbackShapes[shape];
+    if (!build) {
+        throw new TypeError(`알 수 없는 콜백 모양: ${shape}`);
+    }
+    return build;
+}
+
+// 콜백이 받은 값들 -> resolve할 값
+function collect(values, multiArgs) {
+    if (Array.isArray(multiArgs)) {
+        return Object.fromEntries(multiArgs.map((name, i) => [name, values[i]]));
+    }
+    return multiArgs ? values : values[0];
+}
+
+/**
+ * 콜백을 받는 함수를 Promise를 반환하는 함수로
+ * options
+ * - shape: 'errorFirst'(기본) | 'successError' | 'valueOnly' | (resolve, reject) => [콜백...]
+ *   직접 만든 shape의 콜백은 값들을 배열로 resolve해야 함
+ * - multiArgs: true면 콜백 값들을 배열로, ['a', 'b']처럼 이름을 주면 { a, b } 객체로 resolve
+ * fn이 동기적으로 throw해도 reject로 바뀜
+ */
+export function promisify(fn, { shape = 'errorFirst', multiArgs = false } = {}) {
+    const build = resolveShape(shape);
+    
+    const promisified = function (...args) {
+        return new Promise((resolve, reject) => {
+            const callbacks = build(values => resolve(collect(values, multiArgs)), reject);
+            fn.call(this, ...args, ...callbacks);
+        });
+    };
+    Object.defineProperty(promisified, 'name', { value: fn.name });
+    return promisified;
+}
+
+/**
+ * Promise를 반환하는(또는 async) 함수를 마지막 인자로 콜백을 받는 함수로
+ * options.shape: 'errorFirst'(기본)면 callback(error, value),
+ *                'successError'면 마지막 두 인자 onSuccess(value), onError(error)
+ * 콜백은 Promise 체인 밖에서 호출되므로 콜백이 던진 예외가 reject로 삼켜지지 않음
+ */
+export function callbackify(fn, { shape = 'errorFirst' } = {}) {
+    if (shape !== 'errorFirst' && shape !== 'successError') {
+        throw new TypeError(`callbackify가 지원하지 않는 콜백 모양: ${shape}`);
+    }
+    const callbackCount = shape === 'errorFirst' ? 1 : 2;
+    
+    const callbackified = function (...args) {
+        const callbacks = args.splice(-callbackCount);
+        const valid = callbacks.length === callbackCount &&
+            callbacks.every(callback => typeof callback === 'function');
+        if (!valid) {
+            throw new TypeError('마지막 인자로 콜백 함수를 전달해야 합니다');
+        }
+        const [callback, onError] = callbacks;
+        
+        const succeed = value => queueMicrotask(() => {
+            if (shape === 'errorFirst') callback(null, value);
+            else callback(value);
+        });
+        const fail = reason => queueMicrotask(() => {
+            // null, 0 같은 falsy 값으로 reject해도 콜백 쪽에서 실패로 알 수 있게 Error로 감쌈
+            const error = reason || Object.assign(
+                new Error(`Promise가 falsy 값(${reason})으로 reject되었습니다`),
+                { reason }
+            );
+            if (shape === 'errorFirst') callback(error);
+            else onError(error);
+        });
+        
+        new Promise(resolve => resolve(fn.apply(this, args))).then(succeed, fail);
+    };
+    Object.defineProperty(callbackified, 'name', { value: fn.name });
+    return callbackified;
+}
@@ -0,0 +1,120 @@
+/**
+ * promisify/callbackify 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/async
+ */
+
+import { callbackify, promisify } from './promisify.js';
+
+export default function (test) {
+    test.describe('promisify', function () {
+        // 에러 우선 콜백 API (this.base를 사용)
+        const counter = {
+            base: 10,
+            add(value, callback) {
+                setTimeout(() => {
+                    if (value < 0) callback(new RangeError('음수는 더할 수 없습니다'));
+                    else callback(null, this.base + value);
+                }, 10);
+            }
+        };
+        
+        this.it('should resolve the callback value and keep this', async function () {
+            const add = promisify(counter.add);
+            this.expect(await add.call(counter, 5)).toBe(15);
+            
+            counter.addAsync = promisify(counter.add);
+            this.expect(await counter.addAsync(1)).toBe(11);
+        });
+        
+        this.it('should reject with the callback error or a thrown error', async function () {
+            const add = promisify(counter.add);
+            await this.expect(add.call(counter, -1)).rejects.toThrow(RangeError);
+            
+            const broken = promisify(() => {
+                throw new Error('동기 에러');
+            });
+            await this.expect(broken()).rejects.toThrow('동기 에러');
+        });
+        
+        this.it('should collect multiple callback values', async function () {
+            const pair = callback => callback(null, 'key', 42);
+            this.expect(await promisify(pair, { multiArgs: true })()).toEqual(['key', 42]);
+            this.expect(await promisify(pair, { multiArgs: ['name', 'value'] })())
+                .toEqual({ name: 'key', value: 42 });
+        });
+        
+        this.it('should support success/error and custom callback shapes', async function () {
+            const load = (id, onSuccess, onError) =>
+                id > 0 ? onSuccess({ id }) : onError(new Error('없는 ID'));
+            const loadAsync = promisify(load, { shape: 'successError' });
+            this.expect(await loadAsync(1)).toEqual({ id: 1 });
+            await this.expect(loadAsync(0)).rejects.toThrow('없는 ID');
+            
+            // callback(value, error) 순서를 쓰는 API
+            const valueFirst = (id, callback) =>
+                id > 0 ? callback(id * 2, null) : callback(null, new Error('실패'));
+            const valueFirstAsync = promisify(valueFirst, {
+                shape: (resolve, reject) => [
+                    (value, error) => (error ? reject(error) : resolve([value]))
+                ]
+            });
+            this.expect(await valueFirstAsync(4)).toBe(8);
+            await this.expect(valueFirstAsync(0)).rejects.toThrow('실패');
+        });
+        
+        this.it('should reject unknown callback shapes', function () {
+            this.expect(() => promisify(() => {}, { shape: 'nodeStyle' })).toThrow(TypeError);
+        });
+    });
+    
+    test.describe('callbackify', function () {
+        this.it('should call back with the result of an async function', function (done) {
+            const service = {
+                prefix: 'user',
+                async find(id) {
+                    if (id < 0) throw new Error('not found');
+                    return `${this.prefix}-${id}`;
+                }
+            };
+            service.findCallback = callbackify(service.find);
+            
+            service.findCallback(7, (error, value) => {
+                this.expect(error).toBeNull();
+                this.expect(value).toBe('user-7');
+                service.findCallback(-1, failure => {
+                    this.expect(failure.message).toBe('not found');
+                    done();
+                });
+            });
+        });
+        
+        this.it('should wrap falsy rejections and support success/error callbacks', function (done) {
+            const rejectWithZero = callbackify(() => Promise.reject(0));
+            const loadValue = callbackify(async value => value * 2, { shape: 'successError' });
+            
+            rejectWithZero(error => {
+                this.expect(error).toBeInstanceOf(Error);
+                this.expect(error.reason).toBe(0);
+                loadValue(
+                    21,
+                    value => {
+                        this.expect(value).toBe(42);
+                        done();
+                    },
+                    error => done(error)
+                );
+            });
+        });
+        
+        this.it('should throw when the callback is missing', function () {
+            const double = callbackify(async value => value * 2);
+            this.expect(() => double(21)).toThrow(TypeError);
+        });
+        
+        this.it('should round-trip through callbackify and promisify', async function () {
+            const double = async value => value * 2;
+            const roundTrip = promisify(callbackify(double));
+            this.expect(await roundTrip(21)).toBe(42);
+        });
+    });
+}
@@ -0,0 +1,88 @@
+/**
+ * 응답 캐시 (TTL + LRU)
+ * 항목마다 만료 시간을 두고, 최대 개수를 넘으면 가장 오래 안 쓴 항목부터 지웁니다.
+ * 만료된 항목도 LRU로 밀려나거나 무효화될 때까지는 남겨 두어
+ * stale-while-revalidate(오래된 값을 먼저 주고 뒤에서 갱신)에 쓸 수 있습니다.
+ */
+
+export class ResponseCache {
+    /**
+     * options
+     * - maxEntries: 최대 항목 수 (기본 100)
+     * - ttl: 기본 유효 시간 (ms, 기본 5분, 항목마다 set에서 바꿀 수 있음)
+     * - staleWhileRevalidate: true면 만료된 값을 바로 돌려주고 뒤에서 갱신
+     * - now: 현재 시각 함수 (테스트에서 시간을 흉내낼 때)
+     */
+    constructor({
+        maxEntries = 100,
+        ttl = 5 * 60 * 1000,
+        staleWhileRevalidate = false,
+        now = Date.now
+    } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttl = ttl;
+        this.staleWhileRevalidate = staleWhileRevalidate;
+        this.now = now;
+        this.entries = new Map(); // 삽입 순서 = 사용 순서 (앞쪽이 가장 오래 안 쓴 항목)
+    }
+    
+    get size() {
+        return this.entries.size;
+    }
+    
+    /**
+     * 만료 여부와 상관없이 항목 조회 ({ value, fresh, expiresAt } 또는 null)
+     * 조회한 항목은 가장 최근에 쓴 것으로 옮김
+     */
+    lookup(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return { ...entry, fresh: this.now() < entry.expiresAt };
+    }
+    
+    // 만료되지 않은 값만 (없거나 만료됐으면 undefined)
+    get(key) {
+        const entry = this.lookup(key);
+        return entry?.fresh ? entry.value : undefined;
+    }
+    
+    has(key) {
+        const entry = this.entries.get(key);
+        return Boolean(entry) && this.now() < entry.expiresAt;
+    }
+    
+    set(key, value, { ttl = this.ttl } = {}) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: this.now() + ttl });
+        
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value;
+            this.entries.delete(oldest);
+        }
+        return this;
+    }
+    
+    // 정확히 일치하는 키 하나를 무효화
+    invalidate(key) {
+        return this.entries.delete(key);
+    }
+    
+    // prefix로 시작하는 키를 모두 무효화하고 지운 개수를 반환
+    invalidatePrefix(prefix) {
+        let count = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                count++;
+            }
+        }
+        return count;
+    }
+    
+    clear() {
+        this.entries.clear();
+    }
+}
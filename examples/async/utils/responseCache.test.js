@@ -0,0 +1,72 @@
+/**
+ * ResponseCache 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/async
+ */
+
+import { ResponseCache } from './responseCache.js';
+
+// now()를 직접 움직이는 캐시
+function createCache(options) {
+    const clock = { time: 0 };
+    const cache = new ResponseCache({ now: () => clock.time, ...options });
+    return { cache, clock };
+}
+
+export default function (test) {
+    test.describe('ResponseCache', function () {
+        this.it('should expire entries after their ttl', function () {
+            const { cache, clock } = createCache({ ttl: 100 });
+            cache.set('a', 1);
+            cache.set('b', 2, { ttl: 300 });
+            
+            clock.time = 99;
+            this.expect(cache.get('a')).toBe(1);
+            clock.time = 100;
+            this.expect(cache.get('a')).toBeUndefined();
+            this.expect(cache.has('a')).toBe(false);
+            this.expect(cache.has('b')).toBe(true);
+        });
+        
+        this.it('should keep expired entries for lookup until they are evicted', function () {
+            const { cache, clock } = createCache({ ttl: 100 });
+            cache.set('a', 1);
+            clock.time = 150;
+            
+            this.expect(cache.lookup('a')).toEqual({ value: 1, expiresAt: 100, fresh: false });
+            this.expect(cache.size).toBe(1);
+            this.expect(cache.lookup('missing')).toBeNull();
+        });
+        
+        this.it('should evict the least recently used entry', function () {
+            const { cache } = createCache({ maxEntries: 2 });
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.get('a'); // a를 최근에 쓴 것으로
+            cache.set('c', 3);
+            
+            this.expect([...cache.entries.keys()]).toEqual(['a', 'c']);
+            this.expect(cache.get('b')).toBeUndefined();
+        });
+        
+        this.it('should move an overwritten key to the most recent position', function () {
+            const { cache } = createCache({ maxEntries: 2 });
+            cache.set('a', 1).set('b', 2).set('a', 10).set('c', 3);
+            
+            this.expect(cache.get('a')).toBe(10);
+            this.expect(cache.has('b')).toBe(false);
+        });
+        
+        this.it('should invalidate single keys and prefixes', function () {
+            const { cache } = createCache();
+            cache.set('GET:/posts/1', 1).set('GET:/posts/2', 2).set('GET:/users/1', 3);
+            
+            this.expect(cache.invalidate('GET:/posts/1')).toBe(true);
+            this.expect(cache.invalidate('GET:/posts/1')).toBe(false);
+            this.expect(cache.invalidatePrefix('GET:/posts/')).toBe(1);
+            this.expect([...cache.entries.keys()]).toEqual(['GET:/users/1']);
+            
+            cache.clear();
+            this.expect(cache.size).toBe(0);
+        });
+    });
+}
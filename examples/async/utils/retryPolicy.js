@@ -0,0 +1,154 @@
+/**
+ * 재시도 정책
+ * 몇 번까지, 얼마나 기다렸다가, 어떤 에러에 재시도할지를 한 객체에 모아
+ * ApiManager와 AsyncOptimizer.retryWithBackoff가 같이 씁니다.
+ *
+ *   const policy = new RetryPolicy({ maxAttempts: 5, baseDelay: 200, jitter: 'full' });
+ *   const data = await policy.execute(attempt => fetchSomething(), { signal });
+ */
+
+import { abortableDelay } from './delay.js';
+import { RetryExhaustedError } from './errors.js';
+
+// 일시적인 실패일 가능성이 높은 상태 코드
+export const DEFAULT_RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Retry-After 헤더 값을 밀리초로 변환 (초 단위 숫자 또는 HTTP 날짜)
+ * 해석할 수 없으면 null
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    
+    if (/^\d+$/.test(text)) {
+        return Number(text) * 1000;
+    }
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// 백오프 간격에 무작위성을 섞어 여러 클라이언트가 동시에 재시도하는 것을 막음
+const jitters = {
+    none: (delay) => delay,
+    // 0 ~ delay 사이
+    full: (delay, random) => random() * delay,
+    // delay/2 ~ delay 사이 (최소 대기 시간 보장)
+    equal: (delay, random) => delay / 2 + random() * (delay / 2)
+};
+
+export class RetryPolicy {
+    /**
+     * options
+     * - maxAttempts: 첫 시도를 포함한 최대 시도 횟수 (기본 3)
+     * - baseDelay / maxDelay: 첫 재시도 간격과 상한 (ms, 간격은 factor배씩 늘어남)
+     * - jitter: 'full' | 'equal' | 'none'
+     * - retryableStatuses: 재시도할 HTTP 상태 코드 (error.status로 판단)
+     * - retryableErrors: 상태 코드가 없는 에러의 재시도 여부 (error, attempt) => boolean
+     *   (기본은 error.retryable이 true인 에러만 재시도, 일반 Error나 TypeError는 코드 버그일 수 있어 바로 실패)
+     * - respectRetryAfter: 응답의 Retry-After 헤더가 있으면 백오프 대신 그만큼 대기
+     * - maxRetryAfter: Retry-After가 이보다 길면 기다리지 않고 포기 (기본 maxDelay, RetryExhaustedError)
+     * - onRetry: 재시도 직전에 호출 ({ attempt, error, delay }), Promise를 반환하면 기다림
+     */
+    constructor({
+        maxAttempts = 3,
+        baseDelay = 1000,
+        maxDelay = 30000,
+        factor = 2,
+        jitter = 'full',
+        retryableStatuses = DEFAULT_RETRYABLE_STATUSES,
+        retryableErrors = error => error?.retryable === true,
+        respectRetryAfter = true,
+        maxRetryAfter = maxDelay,
+        onRetry = null,
+        random = Math.random
+    } = {}) {
+        if (!jitters[jitter]) {
+            throw new TypeError(`알 수 없는 jitter: ${jitter} (full, equal, none 중 하나)`);
+        }
+        
+        this.maxAttempts = maxAttempts;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.factor = factor;
+        this.jitter = jitter;
+        this.retryableStatuses = new Set(retryableStatuses);
+        this.retryableErrors = retryableErrors;
+        this.respectRetryAfter = respectRetryAfter;
+        this.maxRetryAfter = maxRetryAfter;
+        this.onRetry = onRetry;
+        this.random = random;
+    }
+    
+    // 이미 정책이면 그대로, 옵션 객체면 새 정책으로
+    static from(policyOrOptions) {
+        return policyOrOptions instanceof RetryPolicy
+            ? policyOrOptions
+            : new RetryPolicy(policyOrOptions);
+    }
+    
+    // 재시도할 만한 에러인지 (취소는 절대 재시도하지 않음)
+    isRetryable(error, attempt) {
+        if (error?.name === 'AbortError') return false;
+        if (typeof error?.status === 'number') {
+            return this.retryableStatuses.has(error.status);
+        }
+        return Boolean(this.retryableErrors(error, attempt));
+    }
+    
+    // attempt번째 시도가 실패한 뒤의 백오프 간격
+    backoff(attempt) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * this.factor ** (attempt - 1));
+        return Math.round(jitters[this.jitter](delay, this.random));
+    }
+    
+    /**
+     * attempt번째 시도가 error로 실패했을 때 다음 시도까지 기다릴 시간 (ms)
+     * 재시도하지 않아야 하면 null
+     */
+    nextDelay(error, attempt) {
+        if (attempt >= this.maxAttempts || !this.isRetryable(error, attempt)) {
+            return null;
+        }
+        
+        if (this.respectRetryAfter) {
+            const retryAfter = parseRetryAfter(error?.response?.headers?.['retry-after']);
+            if (retryAfter !== null) {
+                return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+            }
+        }
+        return this.backoff(attempt);
+    }
+    
+    /**
+     * fn(attempt)을 성공할 때까지 정책에 따라 반복 (attempt는 1부터)
+     * 재시도할 수 없는 에러는 그대로 throw
+     * 재시도할 수 있는 에러인데 포기하면(횟수를 다 썼거나 Retry-After가 maxRetryAfter보다 김)
+     * 시도별 에러를 모은 RetryExhaustedError를 throw
+     * signal이 취소되면 대기 중이든 실행 중이든 signal.reason으로 즉시 reject
+     */
+    async execute(fn, { signal } = {}) {
+        const errors = [];
+        
+        for (let attempt = 1; ; attempt++) {
+            signal?.throwIfAborted();
+            
+            try {
+                return await fn(attempt);
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw signal.reason;
+                }
+                
+                errors.push(error);
+                const delay = this.nextDelay(error, attempt);
+                if (delay === null) {
+                    throw this.isRetryable(error, attempt) ? new RetryExhaustedError(errors) : error;
+                }
+                
+                await this.onRetry?.({ attempt, error, delay });
+                await abortableDelay(delay, signal);
+            }
+        }
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * RetryPolicy 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/async
+ * 백오프 대기는 가짜 시계로 진행시킵니다.
+ */
+
+import {
+    AbortError,
+    HttpError,
+    NetworkError,
+    RetryExhaustedError,
+    TimeoutError,
+    ValidationError
+} from './errors.js';
+import { HttpResponse } from './http.js';
+import { parseRetryAfter, RetryPolicy } from './retryPolicy.js';
+
+const httpError = (status, headers) => new HttpError(new HttpResponse({ status, headers }));
+
+// 정해진 에러들을 차례로 던지고 다 쓰면 value로 성공하는 작업
+function failingTask(errors, value = 'ok') {
+    const remaining = [...errors];
+    return attempt => (remaining.length > 0
+        ? Promise.reject(remaining.shift())
+        : Promise.resolve(`${value} ${attempt}`));
+}
+
+export default function (test) {
+    test.describe('RetryPolicy backoff', function () {
+        this.it('should grow by factor and stop at maxDelay without jitter', function () {
+            const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 500, jitter: 'none' });
+            this.expect([1, 2, 3, 4].map(attempt => policy.backoff(attempt))).toEqual([100, 200, 400, 500]);
+        });
+        
+        this.it('should apply full and equal jitter with the given random source', function () {
+            const random = () => 0.5;
+            const full = new RetryPolicy({ baseDelay: 1000, jitter: 'full', random });
+            const equal = new RetryPolicy({ baseDelay: 1000, jitter: 'equal', random });
+            
+            this.expect(full.backoff(2)).toBe(1000);
+            this.expect(equal.backoff(2)).toBe(1500);
+        });
+        
+        this.it('should keep jittered delays within their range', function () {
+            this.property([this.gen.int({ min: 1, max: 6 })], attempt => {
+                const full = new RetryPolicy({ baseDelay: 100, jitter: 'full' }).backoff(attempt);
+                const equal = new RetryPolicy({ baseDelay: 100, jitter: 'equal' }).backoff(attempt);
+                const ceiling = 100 * 2 ** (attempt - 1);
+                return full >= 0 && full <= ceiling && equal >= ceiling / 2 && equal <= ceiling;
+            });
+        });
+        
+        this.it('should reject unknown jitter names', function () {
+            this.expect(() => new RetryPolicy({ jitter: 'random' })).toThrow(TypeError);
+        });
+    });
+    
+    test.describe('parseRetryAfter', function () {
+        this.it('should parse seconds and HTTP dates', function () {
+            const now = Date.parse('2024-01-01T00:00:00Z');
+            this.expect(parseRetryAfter('3')).toBe(3000);
+            this.expect(parseRetryAfter(' 0 ')).toBe(0);
+            this.expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+            this.expect(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now)).toBe(0);
+        });
+        
+        this.it('should return null for missing or invalid values', function () {
+            this.expect(parseRetryAfter(undefined)).toBeNull();
+            this.expect(parseRetryAfter('')).toBeNull();
+            this.expect(parseRetryAfter('soon')).toBeNull();
+        });
+    });
+    
+    test.describe('RetryPolicy.isRetryable', function () {
+        const policy = new RetryPolicy();
+        
+        this.it('should decide by status code when there is one', function () {
+            this.expect(policy.isRetryable(httpError(503))).toBe(true);
+            this.expect(policy.isRetryable(httpError(429))).toBe(true);
+            this.expect(policy.isRetryable(httpError(404))).toBe(false);
+        });
+        
+        this.it('should never retry cancellations or validation errors', function () {
+            this.expect(policy.isRetryable(new AbortError())).toBe(false);
+            this.expect(policy.isRetryable(new DOMException('취소', 'AbortError'))).toBe(false);
+            this.expect(policy.isRetryable(new ValidationError('잘못된 값'))).toBe(false);
+        });
+        
+        this.it('should retry only errors marked retryable by default', function () {
+            this.expect(policy.isRetryable(new NetworkError('연결 끊김'))).toBe(true);
+            this.expect(policy.isRetryable(new TimeoutError())).toBe(true);
+            this.expect(policy.isRetryable(new Error('연결 끊김'))).toBe(false);
+            this.expect(policy.isRetryable(new TypeError('x is not a function'))).toBe(false);
+        });
+    });
+    
+    test.describe('RetryPolicy.execute', function () {
+        this.beforeEach(function () {
+            this.useFakeTimers();
+        });
+        
+        this.it('should retry with backoff until it succeeds', async function () {
+            const onRetry = this.fn();
+            const policy = new RetryPolicy({ baseDelay: 100, jitter: 'none', onRetry });
+            
+            const result = policy.execute(failingTask([httpError(503), new NetworkError('끊김')]));
+            await this.clock.advanceTimersByTimeAsync(299);
+            this.expect(onRetry).toHaveBeenCalledTimes(2);
+            await this.clock.advanceTimersByTimeAsync(1);
+            
+            this.expect(await result).toBe('ok 3');
+            this.expect(onRetry.mock.calls.map(([{ attempt, delay }]) => [attempt, delay]))
+                .toEqual([[1, 100], [2, 200]]);
+        });
+        
+        this.it('should wait for Retry-After instead of the backoff', async function () {
+            const onRetry = this.fn();
+            const policy = new RetryPolicy({ baseDelay: 100, jitter: 'none', onRetry });
+            
+            const result = policy.execute(failingTask([httpError(429, { 'Retry-After': '2' })]));
+            await this.clock.advanceTimersByTimeAsync(1999);
+            this.expect(this.clock.getTimerCount()).toBe(1);
+            await this.clock.advanceTimersByTimeAsync(1);
+            
+            this.expect(await result).toBe('ok 2');
+            this.expect(onRetry.mock.calls[0][0].delay).toBe(2000);
+        });
+        
+        this.it('should give up with RetryExhaustedError when Retry-After is too long', async function () {
+            const policy = new RetryPolicy({ maxRetryAfter: 1000 });
+            const error = httpError(503, { 'Retry-After': '60' });
+            
+            const thrown = await policy.execute(failingTask([error])).catch(reason => reason);
+            this.expect(thrown).toBeInstanceOf(RetryExhaustedError);
+            this.expect(thrown.errors).toEqual([error]);
+            this.expect(thrown.status).toBe(503);
+        });
+        
+        this.it('should collect every attempt in RetryExhaustedError', async function () {
+            const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 10, jitter: 'none' });
+            const errors = [httpError(500), httpError(502), httpError(503)];
+            
+            const result = policy.execute(failingTask(errors)).catch(reason => reason);
+            await this.clock.runAllTimersAsync();
+            const thrown = await result;
+            
+            this.expect(thrown).toBeInstanceOf(RetryExhaustedError);
+            this.expect(thrown.errors).toEqual(errors);
+            this.expect(thrown.cause).toBe(errors[2]);
+            this.expect(thrown.message).toMatch(/^3번 시도 모두 실패/);
+        });
+        
+        this.it('should rethrow non-retryable errors without waiting', async function () {
+            const policy = new RetryPolicy();
+            const error = httpError(404);
+            const task = this.fn(failingTask([error]));
+            
+            await this.expect(policy.execute(task)).rejects.toBe(error);
+            this.expect(task).toHaveBeenCalledTimes(1);
+        });
+        
+        this.it('should attempt a plain TypeError only once', async function () {
+            const policy = new RetryPolicy();
+            const error = new TypeError('response.json is not a function');
+            const task = this.fn(failingTask([error]));
+            
+            await this.expect(policy.execute(task)).rejects.toBe(error);
+            this.expect(task).toHaveBeenCalledTimes(1);
+            this.expect(this.clock.getTimerCount()).toBe(0);
+        });
+        
+        this.it('should stop a pending wait when the signal aborts', async function () {
+            const policy = new RetryPolicy({ baseDelay: 1000, jitter: 'none' });
+            const controller = new AbortController();
+            const task = this.fn(failingTask([httpError(503)]));
+            
+            const result = policy.execute(task, { signal: controller.signal });
+            await this.clock.advanceTimersByTimeAsync(500);
+            controller.abort(new AbortError());
+            
+            await this.expect(result).rejects.toThrow(AbortError);
+            this.expect(task).toHaveBeenCalledTimes(1);
+            this.expect(this.clock.getTimerCount()).toBe(0);
+        });
+    });
+}
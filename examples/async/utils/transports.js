@@ -0,0 +1,154 @@
+/**
+ * HTTP 전송 어댑터
+ * 모든 어댑터는 send(request: HttpRequest) => Promise<HttpResponse> 하나만 구현합니다.
+ * 상태 코드 판단은 ApiManager가 하므로 어댑터는 4xx/5xx 응답도 그대로 돌려주고,
+ * 연결 실패 같은 네트워크 에러만 reject합니다.
+ * request.signal이 취소되면 signal.reason(AbortError)으로 reject합니다.
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import { abortableDelay } from './delay.js';
+import { HttpResponse } from './http.js';
+
+// 브라우저와 Node 18+의 전역 fetch 사용
+export function createFetchTransport({ fetch = globalThis.fetch } = {}) {
+    if (typeof fetch !== 'function') {
+        throw new TypeError('fetch를 사용할 수 없는 환경입니다');
+    }
+    
+    return {
+        async send(request) {
+            const response = await fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body,
+                signal: request.signal
+            });
+            
+            return new HttpResponse({
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers,
+                body: await response.arrayBuffer(),
+                url: response.url || request.url,
+                request
+            });
+        }
+    };
+}
+
+// Node의 http/https 모듈 사용 (fetch가 없는 런타임이나 Agent 설정이 필요할 때)
+export function createNodeHttpTransport({ agent } = {}) {
+    return {
+        send(request) {
+            return new Promise((resolve, reject) => {
+                const { signal } = request;
+                if (signal?.aborted) {
+                    reject(signal.reason);
+                    return;
+                }
+                
+                const url = new URL(request.url);
+                const client = url.protocol === 'https:' ? https : http;
+                const req = client.request(url, {
+                    method: request.method,
+                    headers: request.headers,
+                    agent
+                }, res => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('error', fail);
+                    res.on('end', () => {
+                        signal?.removeEventListener('abort', onAbort);
+                        resolve(new HttpResponse({
+                            status: res.statusCode,
+                            statusText: res.statusMessage,
+                            headers: res.headers,
+                            body: Buffer.concat(chunks),
+                            url: request.url,
+                            request
+                        }));
+                    });
+                });
+                
+                function fail(error) {
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(signal?.aborted ? signal.reason : error);
+                }
+                function onAbort() {
+                    req.destroy(signal.reason);
+                }
+                
+                signal?.addEventListener('abort', onAbort, { once: true });
+                req.on('error', fail);
+                req.end(request.body);
+            });
+        }
+    };
+}
+
+// '/posts/:id' 같은 경로 패턴을 정규식으로 (이름 붙은 그룹이 params가 됨)
+function compilePattern(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    const source = pattern
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/:(\w+)/g, '(?<$1>[^/]+)');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * 테스트/예제용 메모리 어댑터 (네트워크 없이 라우트별 응답을 돌려줌)
+ *
+ *   const transport = new MockTransport({ latency: 50 })
+ *       .on('GET', '/posts/:id', (request, { id }) => ({ body: { id: Number(id) } }))
+ *       .once('GET', '/flaky', () => ({ status: 503 }));
+ *
+ * 핸들러는 { status, statusText, headers, body } 또는 HttpResponse를 반환하고,
+ * 예외를 던지면 네트워크 에러처럼 reject됩니다. 맞는 라우트가 없으면 404입니다.
+ * 받은 요청은 requests에 쌓입니다.
+ */
+export class MockTransport {
+    constructor({ latency = 0 } = {}) {
+        this.latency = latency;
+        this.routes = [];
+        this.requests = [];
+    }
+    
+    on(method, pattern, handler, { times = Infinity } = {}) {
+        this.routes.push({
+            method: method.toUpperCase(),
+            pattern: compilePattern(pattern),
+            handler,
+            times
+        });
+        return this;
+    }
+    
+    // 한 번만 응답하는 라우트 (먼저 등록된 순서로 찾으므로 일시적인 실패를 흉내낼 때 유용)
+    once(method, pattern, handler) {
+        return this.on(method, pattern, handler, { times: 1 });
+    }
+    
+    async send(request) {
+        this.requests.push(request);
+        await abortableDelay(this.latency, request.signal);
+        
+        const { pathname, search } = new URL(request.url, 'http://localhost');
+        for (const route of this.routes) {
+            if (route.times <= 0) continue;
+            if (route.method !== '*' && route.method !== request.method) continue;
+            const match = route.pattern.exec(pathname) || route.pattern.exec(pathname + search);
+            if (!match) continue;
+            
+            route.times--;
+            const result = await route.handler(request, { ...match.groups });
+            request.signal?.throwIfAborted();
+            return result instanceof HttpResponse
+                ? result
+                : new HttpResponse({ url: request.url, ...result, request });
+        }
+        
+        return new HttpResponse({ status: 404, statusText: 'Not Found', url: request.url, request });
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * 전송 어댑터 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/async
+ * Node http 어댑터는 127.0.0.1의 임시 서버로 확인합니다.
+ */
+
+import http from 'node:http';
+import { AbortError } from './errors.js';
+import { HttpRequest, HttpResponse } from './http.js';
+import {
+    createFetchTransport,
+    createNodeHttpTransport,
+    MockTransport
+} from './transports.js';
+
+// 받은 요청을 JSON으로 돌려주는 서버 (/slow는 응답하지 않음)
+function startEchoServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/slow') return;
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            res.writeHead(req.url === '/missing' ? 404 : 200, {
+                'Content-Type': 'application/json'
+            });
+            res.end(JSON.stringify({
+                method: req.method,
+                url: req.url,
+                header: req.headers['x-test'] ?? null,
+                body: Buffer.concat(chunks).toString()
+            }));
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+export default function (test) {
+    test.describe('MockTransport', function () {
+        this.it('should match routes by method and pattern and pass params', async function () {
+            const transport = new MockTransport()
+                .on('GET', '/posts/:id', (request, { id }) => ({ body: { id: Number(id) } }))
+                .on('POST', '/posts', request => ({ status: 201, body: JSON.parse(request.body) }));
+            
+            const get = await transport.send(new HttpRequest('https://api.test/posts/7'));
+            this.expect(get).toBeInstanceOf(HttpResponse);
+            this.expect(await get.json()).toEqual({ id: 7 });
+            
+            const post = await transport.send(new HttpRequest('https://api.test/posts', {
+                method: 'post',
+                body: { title: '새 글' }
+            }));
+            this.expect(post.status).toBe(201);
+            this.expect(await post.parse()).toEqual({ title: '새 글' });
+            this.expect(transport.requests.map(request => request.method)).toEqual(['GET', 'POST']);
+        });
+        
+        this.it('should use once() routes a single time and answer 404 otherwise', async function () {
+            const transport = new MockTransport()
+                .once('GET', '/flaky', () => ({ status: 503 }))
+                .on('GET', '/flaky', () => ({ body: 'ok' }));
+            const send = () => transport.send(new HttpRequest('/flaky'));
+            
+            this.expect((await send()).status).toBe(503);
+            this.expect((await send()).status).toBe(200);
+            this.expect((await transport.send(new HttpRequest('/nothing'))).status).toBe(404);
+        });
+        
+        this.it('should reject when the handler throws', async function () {
+            const transport = new MockTransport().on('GET', '/down', () => {
+                throw new Error('ECONNRESET');
+            });
+            await this.expect(transport.send(new HttpRequest('/down'))).rejects.toThrow('ECONNRESET');
+        });
+        
+        this.it('should reject with the signal reason during latency', async function () {
+            const clock = this.useFakeTimers();
+            const transport = new MockTransport({ latency: 100 }).on('GET', '/posts/1', () => ({}));
+            const controller = new AbortController();
+            
+            const sending = transport.send(new HttpRequest('/posts/1', { signal: controller.signal }));
+            await clock.advanceTimersByTimeAsync(50);
+            controller.abort(new AbortError());
+            
+            await this.expect(sending).rejects.toThrow(AbortError);
+            this.expect(clock.getTimerCount()).toBe(0);
+        });
+    });
+    
+    test.describe('createFetchTransport', function () {
+        this.it('should pass the request to fetch and wrap the response', async function () {
+            const fetch = this.fn(async () => new Response('{"id":1}', {
+                status: 201,
+                statusText: 'Created',
+                headers: { 'Content-Type': 'application/json' }
+            }));
+            const transport = createFetchTransport({ fetch });
+            const request = new HttpRequest('https://api.test/posts', {
+                method: 'POST',
+                headers: { 'X-Test': 'yes' },
+                body: { title: '새 글' }
+            });
+            
+            const response = await transport.send(request);
+            this.expect(fetch).toHaveBeenCalledWith('https://api.test/posts', {
+                method: 'POST',
+                headers: { 'x-test': 'yes', 'content-type': 'application/json' },
+                body: '{"title":"새 글"}',
+                signal: undefined
+            });
+            this.expect(response.status).toBe(201);
+            this.expect(response.statusText).toBe('Created');
+            this.expect(response.request).toBe(request);
+            this.expect(await response.parse()).toEqual({ id: 1 });
+        });
+        
+        this.it('should require a fetch function', function () {
+            this.expect(() => createFetchTransport({ fetch: null })).toThrow(TypeError);
+        });
+    });
+    
+    test.describe('createNodeHttpTransport', function () {
+        let server;
+        let baseUrl;
+        
+        this.beforeAll(async function () {
+            server = await startEchoServer();
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+        
+        this.afterAll(function () {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        });
+        
+        this.it('should send method, headers and body', async function () {
+            const transport = createNodeHttpTransport();
+            const response = await transport.send(new HttpRequest(`${baseUrl}/echo`, {
+                method: 'PUT',
+                headers: { 'X-Test': 'yes' },
+                body: 'hello'
+            }));
+            
+            this.expect(response.ok).toBe(true);
+            this.expect(await response.json()).toEqual({
+                method: 'PUT',
+                url: '/echo',
+                header: 'yes',
+                body: 'hello'
+            });
+        });
+        
+        this.it('should resolve error statuses instead of rejecting', async function () {
+            const response = await createNodeHttpTransport()
+                .send(new HttpRequest(`${baseUrl}/missing`));
+            this.expect(response.status).toBe(404);
+            this.expect(response.ok).toBe(false);
+        });
+        
+        this.it('should reject with the signal reason when aborted', async function () {
+            const controller = new AbortController();
+            const sending = createNodeHttpTransport()
+                .send(new HttpRequest(`${baseUrl}/slow`, { signal: controller.signal }));
+            setTimeout(() => controller.abort(new AbortError('그만')), 20);
+            
+            await this.expect(sending).rejects.toThrow('그만');
+        });
+        
+        this.it('should reject connection failures', async function () {
+            // 잠깐 열었다 닫은 포트로 연결
+            const closed = await startEchoServer();
+            const closedPort = closed.address().port;
+            await new Promise(resolve => closed.close(resolve));
+            
+            await this.expect(createNodeHttpTransport()
+                .send(new HttpRequest(`http://127.0.0.1:${closedPort}/`)))
+                .rejects.toThrow(/ECONNREFUSED/);
+        });
+    });
+}
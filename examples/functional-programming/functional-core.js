@@ -5,6 +5,8 @@
  * 핵심 패러다임을 실무 관점에서 완전 정복합니다.
  */
 
+import { Either } from "./utils/either.js";
+
 console.log("🧮 함수형 프로그래밍 학습 시작!");
 
 // ===== 1. 순수함수 vs 비순수함수 =====
@@ -244,40 +246,7 @@ const calculation = Maybe.of("42")
 
 console.log("Maybe 모나드 계산:", calculation.getOrElse("계산 실패"));
 
-// Either 모나드 (성공 또는 실패)
-class Either {
-  constructor(value, isRight = true) {
-    this.value = value;
-    this.isRight = isRight;
-  }
-
-  static right(value) {
-    return new Either(value, true);
-  }
-
-  static left(value) {
-    return new Either(value, false);
-  }
-
-  map(fn) {
-    if (this.isRight) {
-      try {
-        return Either.right(fn(this.value));
-      } catch (error) {
-        return Either.left(error.message);
-      }
-    }
-    return this;
-  }
-
-  flatMap(fn) {
-    return this.isRight ? fn(this.value) : this;
-  }
-
-  fold(leftFn, rightFn) {
-    return this.isRight ? rightFn(this.value) : leftFn(this.value);
-  }
-}
+// Either 모나드 (성공 또는 실패) - utils/either.js
 
 // Either 모나드 사용
 const validateEmail = (email) => {
@@ -0,0 +1,39 @@
+/**
+ * Either 모나드 (성공 또는 실패)
+ * Right는 성공 값, Left는 실패 이유를 담고, map/flatMap은 Right일 때만 적용됩니다.
+ * 다른 예제(비동기 settle 등)에서도 같은 클래스를 쓰도록 모듈로 분리했습니다.
+ */
+
+export class Either {
+  constructor(value, isRight = true) {
+    this.value = value;
+    this.isRight = isRight;
+  }
+
+  static right(value) {
+    return new Either(value, true);
+  }
+
+  static left(value) {
+    return new Either(value, false);
+  }
+
+  map(fn) {
+    if (this.isRight) {
+      try {
+        return Either.right(fn(this.value));
+      } catch (error) {
+        return Either.left(error.message);
+      }
+    }
+    return this;
+  }
+
+  flatMap(fn) {
+    return this.isRight ? fn(this.value) : this;
+  }
+
+  fold(leftFn, rightFn) {
+    return this.isRight ? rightFn(this.value) : leftFn(this.value);
+  }
+}
@@ -5,6 +5,9 @@
  * 실무에서 바로 적용할 수 있는 성능 향상 기법들을 학습합니다.
  */
 
+import { RetryExhaustedError } from '../async/utils/errors.js';
+import { RetryPolicy } from '../async/utils/retryPolicy.js';
+
 console.log('🚀 JavaScript 성능 최적화 학습 시작!');
 
 // ===== 1. 메모리 최적화와 가비지 컬렉션 =====
@@ -511,25 +514,29 @@ class AsyncOptimizer {
         return Promise.all(results);
     }
     
-    // 지수 백오프 재시도
-    async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-        let lastError;
-        
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            try {
-                return await fn();
-            } catch (error) {
-                lastError = error;
-                
-                if (attempt === maxRetries) break;
-                
-                const delay = baseDelay * Math.pow(2, attempt);
-                console.log(`재시도 ${attempt + 1}/${maxRetries} (${delay}ms 후)`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
+    // 지수 백오프 재시도 (ApiManager와 같은 RetryPolicy 사용)
+    // policy: RetryPolicy 또는 그 옵션, 예전처럼 (fn, maxRetries, baseDelay)로 불러도 됨
+    // 기본값은 예전과 같이 4번 시도, jitter 없음, 모든 에러 재시도이고, 모두 실패하면 마지막 에러를 그대로 던짐
+    async retryWithBackoff(fn, policy = {}, baseDelay = 1000) {
+        if (typeof policy === 'number') {
+            policy = { maxAttempts: policy + 1 };
         }
+        const retryPolicy = policy instanceof RetryPolicy ? policy : new RetryPolicy({
+            maxAttempts: 4,
+            baseDelay,
+            jitter: 'none',
+            retryableErrors: error => error?.retryable ?? true,
+            onRetry: ({ attempt, delay }) => console.log(
+                `재시도 ${attempt}/${retryPolicy.maxAttempts - 1} (${delay}ms 후)`
+            ),
+            ...policy
+        });
         
-        throw lastError;
+        try {
+            return await retryPolicy.execute(fn);
+        } catch (error) {
+            throw error instanceof RetryExhaustedError ? error.cause : error;
+        }
     }
 }
 
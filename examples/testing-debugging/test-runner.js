@@ -0,0 +1,106 @@
+/**
+ * SimpleTest 명령줄 러너
+ * *.test.js 파일을 찾아 파일마다 독립된 SimpleTest로 실행하고 결과를 합칩니다.
+ * 실패한 테스트가 하나라도 있거나 *.test.js 파일을 찾지 못하면 종료 코드 1로 끝납니다.
+ *
+ * 사용법: node test-runner.js [디렉터리] [옵션]
+ *   --watch                   파일이 바뀌면 영향을 받는 테스트 파일만 다시 실행
+ *   -t, --testNamePattern <s> 전체 이름에 s가 들어간 테스트만 실행
+ *   -u, --updateSnapshot      스냅샷을 모두 새로 기록
+ *   --ci                      없는 스냅샷을 기록하지 않고 실패로 처리
+ *   --reporter <name>         console(기본) | json | tap | junit
+ *   --timeout <ms>            테스트 하나의 제한 시간
+ *   --coverage                줄/분기/함수 커버리지 수집 (V8 내장 커버리지)
+ *   --coverageDir <dir>       HTML과 lcov.info를 저장할 폴더 (기본 coverage)
+ *   --coverageThreshold <t>   "lines=80,branches=70,functions=80" 형식,
+ *                             기준에 못 미치면 종료 코드 1
+ */
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  ConsoleReporter,
+  JsonReporter,
+  JUnitReporter,
+  TapReporter,
+} from "./utils/reporters.js";
+import {
+  findTestFiles,
+  runTestFiles,
+  watchTestFiles,
+} from "./utils/runner.js";
+
+const reporters = {
+  console: () => new ConsoleReporter(),
+  json: () => new JsonReporter(),
+  tap: () => new TapReporter(),
+  junit: () => new JUnitReporter(),
+};
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    watch: { type: "boolean", default: false },
+    testNamePattern: { type: "string", short: "t" },
+    updateSnapshot: { type: "boolean", short: "u", default: false },
+    ci: { type: "boolean", default: false },
+    reporter: { type: "string", default: "console" },
+    timeout: { type: "string" },
+    coverage: { type: "boolean", default: false },
+    coverageDir: { type: "string", default: "coverage" },
+    coverageThreshold: { type: "string", default: "" },
+  },
+});
+
+// "lines=80,branches=70" -> { lines: 80, branches: 70 }
+function parseThresholds(text) {
+  const thresholds = {};
+  text
+    .split(",")
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [kind, value] = pair.split("=");
+      if (!["lines", "branches", "functions"].includes(kind) || isNaN(value)) {
+        console.error(`잘못된 커버리지 기준: ${pair}`);
+        process.exit(2);
+      }
+      thresholds[kind] = Number(value);
+    });
+  return thresholds;
+}
+
+if (!reporters[values.reporter]) {
+  console.error(
+    `알 수 없는 리포터: ${values.reporter} ` +
+      `(사용 가능: ${Object.keys(reporters).join(", ")})`
+  );
+  process.exit(2);
+}
+
+const dir = path.resolve(positionals[0] || ".");
+const options = {
+  reporter: reporters[values.reporter](),
+  testNamePattern: values.testNamePattern,
+  updateSnapshot: values.updateSnapshot ? "all" : values.ci ? "none" : "new",
+  timeout: values.timeout ? Number(values.timeout) : undefined,
+  coverage: (values.coverage || values.coverageThreshold) && {
+    root: dir,
+    dir: values.coverageDir,
+    thresholds: parseThresholds(values.coverageThreshold),
+  },
+};
+
+if (values.watch) {
+  watchTestFiles(dir, options);
+} else {
+  const files = findTestFiles(dir);
+  if (files.length === 0) {
+    // 경로를 잘못 준 경우에도 CI가 통과하지 않도록 실패로 처리
+    console.error(`🔍 ${dir}에서 *.test.js 파일을 찾지 못했습니다`);
+    process.exitCode = 1;
+  } else {
+    const summary = await runTestFiles(files, options);
+    const coverageFailed = summary.coverage?.failures.length > 0;
+    process.exitCode = summary.failed > 0 || coverageFailed ? 1 : 0;
+  }
+}
@@ -1,161 +1,305 @@
-// 간단한 테스팅 프레임워크 구현
-class SimpleTest {
-  constructor() {
-    this.tests = [];
-    this.passed = 0;
-    this.failed = 0;
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { chunkArray, mergeArrays } from "../es6-modules/utils/arrayUtils.js";
+import {
+  BenchmarkRegressionError,
+  compareWithBaseline,
+  loadBaseline,
+  saveBaseline,
+} from "./utils/baseline.js";
+import { format } from "./utils/diff.js";
+import { inspect } from "./utils/inspect.js";
+import { spyOn } from "./utils/mock.js";
+import { PropertyFailure } from "./utils/property.js";
+import { SimpleTest } from "./utils/simpleTest.js";
+import { summarize } from "./utils/stats.js";
+import {
+  unwatchPath,
+  watchPath,
+  WatchpointBreak,
+} from "./utils/watchpoint.js";
+
+// 성능 테스터
+class PerformanceTester {
+  /**
+   * 워밍업 후 여러 샘플을 모아 통계를 냅니다.
+   * 샘플 하나는 타이머 해상도보다 충분히 길도록 자동으로 정한 횟수만큼 fn을 반복 실행한 것이고,
+   * 결과의 시간 값은 모두 1회 실행당 ms입니다.
+   * fn이 Promise를 반환하면 매 실행을 기다리며 측정하고, benchmark도 Promise를 반환합니다.
+   * 예전처럼 세 번째 인자로 숫자를 주면 { iterations: 숫자 }로 해석합니다.
+   */
+  static benchmark(name, fn, options = {}) {
+    options = this.normalizeOptions(options);
+    const probe = fn();
+    if (probe && typeof probe.then === "function") {
+      return probe.then(() => this.benchmarkAsync(name, fn, options));
+    }
+
+    const runBatch = (iterations) => {
+      const start = performance.now();
+      for (let i = 0; i < iterations; i++) {
+        fn();
+      }
+      return performance.now() - start;
+    };
+
+    const steps = this.schedule(options);
+    let step = steps.next();
+    while (!step.done) {
+      step = steps.next(runBatch(step.value));
+    }
+    return this.finish(name, step.value);
   }
 
-  describe(name, fn) {
-    console.log(`\n📝 ${name}`);
-    fn.call(this);
+  static async benchmarkAsync(name, fn, options = {}) {
+    options = this.normalizeOptions(options);
+    const runBatch = async (iterations) => {
+      const start = performance.now();
+      for (let i = 0; i < iterations; i++) {
+        await fn();
+      }
+      return performance.now() - start;
+    };
+
+    const steps = this.schedule(options);
+    let step = steps.next();
+    while (!step.done) {
+      step = steps.next(await runBatch(step.value));
+    }
+    return this.finish(name, step.value);
   }
 
-  it(description, testFn) {
-    try {
-      testFn.call(this);
-      console.log(`  ✅ ${description}`);
-      this.passed++;
-    } catch (error) {
-      console.log(`  ❌ ${description}`);
-      console.log(`     ${error.message}`);
-      this.failed++;
+  static normalizeOptions(options) {
+    if (typeof options === "number") {
+      return { iterations: options };
+    }
+    if (options === null || typeof options !== "object") {
+      const received = inspect(options);
+      throw new TypeError(
+        `benchmark의 options는 객체나 반복 횟수(숫자)여야 합니다: ${received}`
+      );
     }
+    return options;
   }
 
-  expect(actual) {
-    return {
-      toBe: (expected) => {
-        if (actual !== expected) {
-          throw new Error(`Expected ${expected}, but got ${actual}`);
-        }
-      },
-      toEqual: (expected) => {
-        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
-          throw new Error(
-            `Expected ${JSON.stringify(expected)}, but got ${JSON.stringify(
-              actual
-            )}`
-          );
-        }
-      },
-      toBeTruthy: () => {
-        if (!actual) {
-          throw new Error(`Expected truthy, but got ${actual}`);
-        }
-      },
-      toBeFalsy: () => {
-        if (actual) {
-          throw new Error(`Expected falsy, but got ${actual}`);
-        }
-      },
+  /**
+   * 측정 순서 (동기/비동기 공용)
+   * 실행할 반복 횟수를 yield하고, 그만큼 실행하는 데 걸린 시간(ms)을 돌려받습니다.
+   * 워밍업 → 샘플 하나가 minSampleTime 이상 걸리는 반복 횟수 찾기 → 샘플 수집
+   * iterations를 주면 반복 횟수를 찾지 않고 샘플마다 그 횟수만큼 실행합니다.
+   */
+  static *schedule({
+    warmupTime = 50, // JIT 최적화가 끝나도록 먼저 돌리는 시간(ms)
+    time = 500, // 샘플 수집에 쓸 시간 예산(ms)
+    minSampleTime = 5, // 샘플 하나의 최소 측정 시간(ms)
+    minSamples = 10,
+    maxSamples = 200,
+    iterations: fixedIterations,
+  } = {}) {
+    const warmupEnd = performance.now() + warmupTime;
+    do {
+      yield 1;
+    } while (performance.now() < warmupEnd);
+
+    let iterations = fixedIterations ?? 1;
+    if (fixedIterations === undefined) {
+      while ((yield iterations) < minSampleTime) {
+        iterations *= 2;
+      }
+    }
+
+    const samples = [];
+    const deadline = performance.now() + time;
+    while (
+      samples.length < maxSamples &&
+      (samples.length < minSamples || performance.now() < deadline)
+    ) {
+      samples.push((yield iterations) / iterations);
+    }
+    return { iterations, samples };
+  }
+
+  static finish(name, { iterations, samples }) {
+    const result = {
+      name,
+      iterations,
+      samples: samples.length,
+      ...summarize(samples),
     };
+    this.log(result);
+    return result;
   }
 
-  run() {
+  static log({ name, opsPerSec, rme, median, p95, p99, stddev, samples }) {
+    const ms = (value) => `${value.toFixed(6)}ms`;
     console.log(
-      `\n📊 Test Results: ${this.passed} passed, ${this.failed} failed`
+      `⏱️ ${name}: ${Math.round(opsPerSec).toLocaleString()} ops/sec ` +
+        `±${rme.toFixed(2)}% (${samples} samples)`
     );
-    return { passed: this.passed, failed: this.failed };
-  }
-}
-
-// 성능 테스터
-class PerformanceTester {
-  static benchmark(name, fn, iterations = 1000) {
-    const start = performance.now();
-    for (let i = 0; i < iterations; i++) {
-      fn();
-    }
-    const end = performance.now();
-    const total = end - start;
-    const average = total / iterations;
     console.log(
-      `⏱️ ${name}: ${total.toFixed(3)}ms total, ${average.toFixed(6)}ms avg`
+      `   median ${ms(median)}, p95 ${ms(p95)}, p99 ${ms(p99)}, ` +
+        `stddev ${ms(stddev)}`
     );
-    return { total, average };
   }
 
-  static compare(tests) {
+  /**
+   * 여러 함수를 차례로 측정해 비교 (비동기 함수도 섞어서 사용 가능)
+   * 모두 동기 함수면 결과를 바로 반환하고, 비동기 함수가 하나라도 있으면 Promise를 반환합니다.
+   * 오차 범위가 겹치지 않을 때만 더 빠르다고 판단합니다.
+   * baseline 파일 경로를 주면 결과를 기준선과 비교하고, 파일이 없으면 새로 저장합니다.
+   */
+  static compare(
+    tests,
+    { baseline, threshold = 0.1, updateBaseline = false, ...options } = {}
+  ) {
     const results = {};
+    const entries = Object.entries(tests);
     console.log("\n🏃‍♂️ Performance Comparison:");
 
-    Object.entries(tests).forEach(([name, fn]) => {
-      results[name] = this.benchmark(name, fn);
+    // 비동기 벤치마크를 만나면 그 결과를 기다린 뒤 나머지를 이어서 측정
+    const measureFrom = (index) => {
+      for (let i = index; i < entries.length; i++) {
+        const [name, fn] = entries[i];
+        const result = this.benchmark(name, fn, options);
+        if (typeof result.then === "function") {
+          return result.then((value) => {
+            results[name] = value;
+            return measureFrom(i + 1);
+          });
+        }
+        results[name] = result;
+      }
+      return this.report(results, { baseline, threshold, updateBaseline });
+    };
+    return measureFrom(0);
+  }
+
+  static report(results, { baseline, threshold, updateBaseline }) {
+    const ranked = Object.values(results).sort((a, b) => a.mean - b.mean);
+    const [fastest] = ranked;
+    console.log(`\n🏆 Fastest: ${fastest.name}`);
+    ranked.slice(1).forEach((result) => {
+      const overlaps =
+        result.mean - result.moe <= fastest.mean + fastest.moe;
+      const ratio = result.mean / fastest.mean;
+      console.log(
+        `   ${result.name}: ${ratio.toFixed(2)}x slower` +
+          (overlaps ? " (오차 범위 내, 유의미한 차이 아님)" : "")
+      );
     });
 
+    if (baseline) {
+      this.checkBaseline(baseline, results, { threshold, updateBaseline });
+    }
     return results;
   }
+
+  // 기준선보다 threshold 넘게 느려진 벤치마크가 있으면 BenchmarkRegressionError
+  static checkBaseline(
+    file,
+    results,
+    { threshold = 0.1, updateBaseline = false } = {}
+  ) {
+    const previous = loadBaseline(file);
+    if (!previous || updateBaseline) {
+      saveBaseline(file, results);
+      console.log(`\n💾 기준선 저장: ${file}`);
+      return;
+    }
+
+    const { comparisons, regressions } = compareWithBaseline(
+      previous,
+      results,
+      { threshold }
+    );
+    const icons = {
+      same: "➖",
+      improvement: "🚀",
+      regression: "🐢",
+      new: "🆕",
+    };
+    console.log(
+      `\n📏 기준선 비교 (${previous.createdAt}, 허용 ${threshold * 100}%):`
+    );
+    comparisons.forEach(({ name, status, change }) => {
+      const percent =
+        change === null
+          ? "기준 없음"
+          : `${change > 0 ? "+" : ""}${(change * 100).toFixed(1)}%`;
+      console.log(`   ${icons[status]} ${name}: ${percent}`);
+    });
+
+    if (regressions.length > 0) {
+      throw new BenchmarkRegressionError(regressions, threshold);
+    }
+  }
 }
 
 // 디버깅 유틸리티
 class Debugger {
-  static trace(obj, property) {
-    let value = obj[property];
-    Object.defineProperty(obj, property, {
-      get() {
-        console.log(`🔍 GET ${property}: ${value}`);
-        return value;
-      },
-      set(newValue) {
-        console.log(`📝 SET ${property}: ${value} -> ${newValue}`);
-        value = newValue;
-      },
-    });
+  // 깊은 경로의 읽기/쓰기를 기록하는 감시점 (untrace로 원래 디스크립터 복원)
+  static trace(obj, path, options) {
+    return watchPath(obj, path, options);
   }
 
+  // path를 생략하면 obj에 걸린 감시점을 모두 해제
+  static untrace(obj, path) {
+    return unwatchPath(obj, path);
+  }
+
+  // 호출과 반환값을 로그로 남기는 스파이 (mockRestore()로 원래 메서드 복원)
   static spy(obj, methodName) {
     const original = obj[methodName];
-    obj[methodName] = function (...args) {
-      console.log(`📞 CALL ${methodName}(${args.join(", ")})`);
+    return spyOn(obj, methodName).mockImplementation(function (...args) {
+      const argList = args.map((arg) => format(arg)).join(", ");
+      console.log(`📞 CALL ${methodName}(${argList})`);
       const result = original.apply(this, args);
-      console.log(`📤 RETURN ${methodName}: ${result}`);
+      console.log(`📤 RETURN ${methodName}: ${format(result)}`);
       return result;
-    };
+    });
   }
 
-  static deepLog(obj, maxDepth = 3) {
-    const seen = new WeakSet();
-
-    function stringify(value, depth = 0) {
-      if (depth > maxDepth) return "[Max Depth Reached]";
-
-      if (value === null) return "null";
-      if (typeof value !== "object") return String(value);
-      if (seen.has(value)) return "[Circular Reference]";
-
-      seen.add(value);
-
-      if (Array.isArray(value)) {
-        return `[${value.map((v) => stringify(v, depth + 1)).join(", ")}]`;
-      }
-
-      const props = Object.keys(value)
-        .map((key) => `${key}: ${stringify(value[key], depth + 1)}`)
-        .join(", ");
-
-      return `{${props}}`;
-    }
+  // 중첩 객체를 여러 줄 문자열로 (옵션은 utils/inspect.js 참고)
+  static inspect(value, options) {
+    return inspect(value, options);
+  }
 
-    console.log("🔍 Deep Log:", stringify(obj));
+  // inspect 결과를 출력하고 그 문자열을 반환 (숫자를 넘기면 depth로 사용)
+  static deepLog(obj, options = {}) {
+    const result = inspect(
+      obj,
+      typeof options === "number" ? { depth: options } : options
+    );
+    console.log(`🔍 Deep Log:\n${result}`);
+    return result;
   }
 }
 
 // 테스트 실행
-const test = new SimpleTest();
+const test = new SimpleTest({ testPath: fileURLToPath(import.meta.url) });
 
 test.describe("Calculator Tests", function () {
-  const add = (a, b) => a + b;
-  const multiply = (a, b) => a * b;
+  let add;
+  let multiply;
 
-  this.it("should add numbers correctly", function () {
-    this.expect(add(2, 3)).toBe(5);
-    this.expect(add(-1, 1)).toBe(0);
+  this.beforeAll(function () {
+    add = (a, b) => a + b;
+    multiply = (a, b) => a * b;
   });
 
-  this.it("should multiply numbers correctly", function () {
-    this.expect(multiply(3, 4)).toBe(12);
-    this.expect(multiply(0, 5)).toBe(0);
+  this.describe("add", function () {
+    this.it("should add numbers correctly", function () {
+      this.expect(add(2, 3)).toBe(5);
+      this.expect(add(-1, 1)).toBe(0);
+    });
+  });
+
+  this.describe("multiply", function () {
+    this.it("should multiply numbers correctly", function () {
+      this.expect(multiply(3, 4)).toBe(12);
+      this.expect(multiply(0, 5)).toBe(0);
+    });
   });
 });
 
@@ -167,50 +311,598 @@ test.describe("Array Tests", function () {
   });
 });
 
-test.run();
+test.describe("Matcher Tests", function () {
+  this.it("should compare structures regardless of key order", function () {
+    this.expect({ a: 1, b: { c: [1, 2] } }).toEqual({ b: { c: [1, 2] }, a: 1 });
+    this.expect(new Map([["x", { id: 1 }]])).toEqual(
+      new Map([["x", { id: 1 }]])
+    );
+    this.expect(new Set([1, 2])).not.toEqual(new Set([1, 3]));
+    this.expect(new Date(0)).toEqual(new Date(0));
+    this.expect([undefined]).not.toEqual([null]);
+  });
 
-// 성능 비교
-PerformanceTester.compare({
-  "For Loop": () => {
-    let sum = 0;
-    for (let i = 0; i < 1000; i++) {
-      sum += i;
-    }
-  },
-  "While Loop": () => {
-    let sum = 0;
-    let i = 0;
-    while (i < 1000) {
-      sum += i;
-      i++;
-    }
-  },
-  Reduce: () => {
-    Array.from({ length: 1000 }, (_, i) => i).reduce((a, b) => a + b, 0);
-  },
+  this.it("should compare circular structures", function () {
+    const a = { name: "node" };
+    const b = { name: "node" };
+    a.self = a;
+    b.self = b;
+    this.expect(a).toEqual(b);
+  });
+
+  this.it("should match thrown errors by message or class", function () {
+    const fail = () => {
+      throw new TypeError("잘못된 입력");
+    };
+    this.expect(fail).toThrow();
+    this.expect(fail).toThrow("입력");
+    this.expect(fail).toThrow(TypeError);
+    this.expect(() => {}).not.toThrow();
+  });
+
+  this.it("should check contents and properties", function () {
+    const user = { name: "Alice", meta: { tags: ["admin"] } };
+    this.expect(user.meta.tags).toContain("admin");
+    this.expect(user.name).toMatch(/^Al/);
+    this.expect(user).toHaveProperty("meta.tags[0]", "admin");
+    this.expect(0.1 + 0.2).toBeCloseTo(0.3);
+    this.expect(new TypeError("x")).toBeInstanceOf(Error);
+  });
+
+  this.it("should unwrap promises with resolves/rejects", async function () {
+    await this.expect(Promise.resolve(42)).resolves.toBe(42);
+    await this.expect(Promise.reject(new Error("실패"))).rejects.toThrow(
+      "실패"
+    );
+  });
+
+  // 의도적 실패: 중첩 객체 diff 출력 예시
+  this.it("should show a structural diff on failure", function () {
+    const expected = {
+      users: [
+        { id: 1, name: "Alice", meta: { active: true } },
+        { id: 2, name: "Bob", meta: { active: true } },
+      ],
+    };
+    const actual = {
+      users: [
+        { id: 1, name: "Alice", meta: { active: true } },
+        { id: 2, name: "Bob", meta: { active: false } },
+      ],
+    };
+    this.expect(actual).toEqual(expected);
+  });
+
+  this.it("should support custom matchers", function () {
+    this.extend({
+      toBeEven(received) {
+        return {
+          pass: received % 2 === 0,
+          message: () => `Expected ${received} ${this.isNot ? "not " : ""}to be even`,
+        };
+      },
+    });
+    this.expect(4).toBeEven();
+    this.expect(3).not.toBeEven();
+  });
+
+  this.it("should await async matchers and reject malformed results", async function () {
+    this.extend({
+      async toResolveTo(received, expected) {
+        const value = await received();
+        return {
+          pass: value === expected,
+          message: () => `Expected ${value} ${this.isNot ? "not " : ""}to be ${expected}`,
+        };
+      },
+      toBeChecked: () => ({ pass: "yes" }),
+    });
+    await this.expect(async () => 1).toResolveTo(1);
+    await this.expect(async () => 1).not.toResolveTo(2);
+    this.expect(() => this.expect(1).toBeChecked()).toThrow(TypeError);
+  });
 });
 
+test.describe("Async Tests", function () {
+  const delay = (ms, value) =>
+    new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+  this.it("should await returned promises", async function () {
+    const value = await delay(50, 42);
+    this.expect(value).toBe(42);
+  });
+
+  this.it("should wait for the done callback", function (done) {
+    setTimeout(() => {
+      this.expect(1 + 1).toBe(2);
+      done();
+    }, 50);
+  });
+
+  // 의도적 실패: 타이머 안에서 실패한 expect도 프로세스를 멈추지 않고 이 테스트의 실패로 보고됨
+  this.it("should report assertions that fail inside a timer", function (done) {
+    setTimeout(() => {
+      this.expect(1 + 1).toBe(3);
+      done();
+    }, 10);
+  });
+
+  // 의도적 실패: 100ms 제한 시간을 넘김
+  this.it(
+    "should fail when the test exceeds its timeout",
+    () => delay(200),
+    100
+  );
+});
+
+test.describe("Mock Tests", function () {
+  this.afterEach(function () {
+    this.restoreAllMocks();
+  });
+
+  this.it("should record calls, this and return values", function () {
+    const double = this.fn((n) => n * 2);
+    const context = { name: "ctx" };
+
+    double.call(context, 2);
+    double(5);
+
+    this.expect(double).toHaveBeenCalledTimes(2);
+    this.expect(double).toHaveBeenCalledWith(2);
+    this.expect(double).toHaveBeenLastCalledWith(5);
+    this.expect(double).toHaveReturnedWith(10);
+    this.expect(double.mock.contexts[0]).toBe(context);
+  });
+
+  this.it("should resolve or reject configured values", async function () {
+    const fetchUser = this.fn()
+      .mockResolvedValueOnce({ id: 1 })
+      .mockRejectedValue(new Error("네트워크 에러"));
+
+    await this.expect(fetchUser()).resolves.toEqual({ id: 1 });
+    await this.expect(fetchUser()).rejects.toThrow("네트워크 에러");
+  });
+
+  this.it("should spy on methods and restore them", function () {
+    const calculator = {
+      add(a, b) {
+        return a + b;
+      },
+    };
+    const originalAdd = calculator.add;
+    const spy = this.spyOn(calculator, "add").mockReturnValue(100);
+
+    this.expect(calculator.add(1, 2)).toBe(100);
+    this.expect(spy).toHaveBeenCalledWith(1, 2);
+
+    spy.mockRestore();
+    this.expect(calculator.add).toBe(originalAdd);
+  });
+});
+
+test.describe("Fake Timer Tests", function () {
+  const debounce = (func, delay) => {
+    let timeoutId;
+    return (...args) => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => func(...args), delay);
+    };
+  };
+
+  this.it("should debounce without real waiting", function () {
+    const clock = this.useFakeTimers();
+    const search = this.fn();
+    const debouncedSearch = debounce(search, 300);
+
+    debouncedSearch("a");
+    debouncedSearch("ab");
+    clock.advanceTimersByTime(299);
+    this.expect(search).not.toHaveBeenCalled();
+
+    clock.advanceTimersByTime(1);
+    this.expect(search).toHaveBeenCalledTimes(1);
+    this.expect(search).toHaveBeenCalledWith("ab");
+  });
+
+  this.it("should expire TTL cache entries with Date.now()", function () {
+    const clock = this.useFakeTimers({ now: 0 });
+    const cache = new Map([
+      ["user", { value: "Alice", expiry: Date.now() + 1000 }],
+    ]);
+    const isFresh = (key) => cache.get(key).expiry > Date.now();
+
+    this.expect(isFresh("user")).toBe(true);
+    clock.advanceTimersByTime(1000);
+    this.expect(isFresh("user")).toBe(false);
+  });
+
+  this.it("should run exponential backoff retries", async function () {
+    const clock = this.useFakeTimers();
+    const request = this.fn()
+      .mockRejectedValueOnce(new Error("실패 1"))
+      .mockRejectedValueOnce(new Error("실패 2"))
+      .mockResolvedValue("성공");
+
+    const fetchWithRetry = async (maxRetries = 3) => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await request();
+        } catch (error) {
+          if (attempt === maxRetries) throw error;
+          const delay = Math.pow(2, attempt) * 1000;
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    };
+
+    const result = fetchWithRetry();
+    await clock.runAllTimersAsync();
+    await this.expect(result).resolves.toBe("성공");
+    this.expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  this.it("should restore the real clock after each test", function () {
+    this.expect(this.clock).toBeNull();
+    this.expect(Date.now()).toBeGreaterThan(0);
+  });
+});
+
+test.describe("Filter Tests", function () {
+  this.it.skip("should not run skipped tests", function () {
+    throw new Error("실행되면 안 됩니다");
+  });
+
+  this.it.todo("should support test.each tables");
+
+  this.describe.skip("skipped suite", function () {
+    this.beforeAll(function () {
+      throw new Error("건너뛴 스위트의 훅은 실행되지 않습니다");
+    });
+
+    this.it("should skip every test inside", function () {});
+  });
+});
+
+test.describe("Snapshot Tests", function () {
+  const buildQuery = ({ table, fields, where, limit }) =>
+    [
+      `SELECT ${fields.join(", ")}`,
+      `FROM ${table}`,
+      `WHERE ${Object.entries(where)
+        .map(([key, value]) => `${key} = '${value}'`)
+        .join(" AND ")}`,
+      `LIMIT ${limit}`,
+    ].join("\n");
+
+  this.it("should match a stored snapshot", function () {
+    const sql = buildQuery({
+      table: "users",
+      fields: ["id", "name"],
+      where: { active: true, role: "admin" },
+      limit: 10,
+    });
+    this.expect(sql).toMatchSnapshot();
+  });
+
+  this.it("should serialize Maps, Sets, Symbols and cycles", function () {
+    const state = {
+      tags: new Set(["js", "node"]),
+      cache: new Map([["user:1", { name: "Alice" }]]),
+      [Symbol("meta")]: Symbol("hidden"),
+    };
+    state.self = state;
+    this.expect(state).toMatchSnapshot();
+  });
+
+  this.it("should match an inline snapshot", function () {
+    const actions = ["조명 어둡게", "프로젝터 켜기", "영화 재생"];
+    this.expect(actions).toMatchInlineSnapshot(`
+      [
+        "조명 어둡게",
+        "프로젝터 켜기",
+        "영화 재생",
+      ]
+    `);
+  });
+});
+
+test.describe("Property Tests", function () {
+  const { gen } = this;
+
+  this.it("should keep every element when chunking", function () {
+    this.property(
+      [gen.array(gen.int()), gen.int({ min: 1, max: 5 })],
+      (values, size) => {
+        const chunks = [...chunkArray(values, size)];
+        this.expect(chunks.flat()).toEqual(values);
+        this.expect(chunks.every((chunk) => chunk.length <= size)).toBe(true);
+      },
+      { seed: 42 }
+    );
+  });
+
+  this.it("should merge arrays without duplicates", function () {
+    this.property(
+      { first: gen.array(gen.nat({ max: 9 })), second: gen.array(gen.nat()) },
+      ({ first, second }) => {
+        const merged = mergeArrays(first, second);
+        return (
+          new Set(merged).size === merged.length &&
+          [...first, ...second].every((value) => merged.includes(value))
+        );
+      },
+      { seed: 42 }
+    );
+  });
+
+  this.it("should shrink a failing input to the smallest case", function () {
+    const failure = (() => {
+      try {
+        this.property(
+          [gen.array(gen.int({ min: 0, max: 1000 }))],
+          (values) => values.every((value) => value < 100),
+          { seed: 7 }
+        );
+      } catch (error) {
+        return error;
+      }
+    })();
+    this.expect(failure).toBeInstanceOf(PropertyFailure);
+    this.expect(failure.counterexample).toEqual([[100]]);
+  });
+
+  // 일부러 실패: 중복이 있으면 길이가 달라지는 것을 반례로 보여줌
+  this.it("should show a shrunk counterexample on failure", function () {
+    this.property(
+      [gen.array(gen.nat({ max: 5 })), gen.array(gen.nat({ max: 5 }))],
+      (first, second) =>
+        mergeArrays(first, second).length === first.length + second.length,
+      { seed: 1 }
+    );
+  });
+});
+
+test.describe("Debugger Tests", function () {
+  const calculator = {
+    add(a, b) {
+      return a + b;
+    },
+  };
+  const originalAdd = calculator.add;
+
+  this.describe("spy", function () {
+    let spy;
+
+    // spy가 바꿔 놓은 메서드를 테스트마다 원래대로 되돌림
+    this.afterEach(function () {
+      spy.mockRestore();
+    });
+
+    this.it("should keep the original return value", function () {
+      spy = Debugger.spy(calculator, "add");
+      this.expect(calculator.add(2, 3)).toBe(5);
+      this.expect(spy).toHaveBeenCalledWith(2, 3);
+    });
+
+    this.it("should see the original method again", function () {
+      this.expect(calculator.add).toBe(originalAdd);
+    });
+  });
+
+  this.describe("trace", function () {
+    let user;
+
+    this.beforeEach(function () {
+      user = { name: "John", meta: { active: true } };
+    });
+
+    this.afterEach(function () {
+      Debugger.untrace(user);
+    });
+
+    this.it("should record reads and writes on a deep path", function () {
+      const watchpoint = Debugger.trace(user, "meta.active", { log: false });
+      user.meta.active = false;
+      user.meta.active;
+
+      const [write, read] = watchpoint.history;
+      this.expect(write.type).toBe("set");
+      this.expect(write.oldValue).toBe(true);
+      this.expect(write.newValue).toBe(false);
+      this.expect(write.stack).toContain("testing-framework.js");
+      this.expect(read.value).toBe(false);
+    });
+
+    this.it("should follow a replaced intermediate object", function () {
+      const watchpoint = Debugger.trace(user, "meta.active", { log: false });
+      const oldMeta = user.meta;
+      user.meta = { active: "pending" };
+      user.meta.active = "done";
+
+      this.expect(watchpoint.history.map((event) => event.newValue)).toEqual([
+        "pending",
+        "done",
+      ]);
+      this.expect(watchpoint.history[0].via).toBe("meta");
+      this.expect(
+        Object.getOwnPropertyDescriptor(oldMeta, "active").value
+      ).toBe(true);
+    });
+
+    this.it("should stop at a conditional break", function () {
+      Debugger.trace(user, "meta.active", {
+        log: false,
+        breakOn: (event) => event.type === "set" && event.newValue === null,
+      });
+      this.expect(() => {
+        user.meta.active = null;
+      }).toThrow(WatchpointBreak);
+      this.expect(user.meta.active).toBe(true);
+    });
+
+    this.it("should keep the value when onBreak handles a break", function () {
+      const onBreak = this.fn();
+      Debugger.trace(user, "meta.active", {
+        log: false,
+        breakOn: (event) => event.type === "set" && event.newValue === null,
+        onBreak,
+      });
+      user.meta.active = null;
+      user.meta = { active: null };
+      this.expect(onBreak).toHaveBeenCalledTimes(2);
+      this.expect(user.meta.active).toBe(true);
+    });
+
+    this.it("should restore the original descriptors on untrace", function () {
+      const watchpoint = Debugger.trace(user, "meta.active", { log: false });
+      user.meta.active = false;
+      watchpoint.untrace();
+
+      const metaDescriptor = Object.getOwnPropertyDescriptor(user, "meta");
+      this.expect(metaDescriptor.get).toBeUndefined();
+      this.expect(Object.getOwnPropertyDescriptor(user.meta, "active")).toEqual({
+        value: false,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    });
+  });
+
+  this.describe("inspect", function () {
+    this.it("should label circular references with their target", function () {
+      const node = { name: "root", children: [] };
+      node.children.push({ parent: node });
+      this.expect(Debugger.inspect(node)).toBe(
+        "<ref *1> { name: 'root', children: [ { parent: [Circular *1] } ] }"
+      );
+    });
+
+    this.it("should show class names, collections and symbol keys", function () {
+      class Point {
+        constructor(x, y) {
+          this.x = x;
+          this.y = y;
+        }
+      }
+      const value = {
+        point: new Point(1, 2),
+        tags: new Map([["a", new Set([1])]]),
+        [Symbol("id")]: 7,
+      };
+      this.expect(Debugger.inspect(value, { breakLength: Infinity })).toBe(
+        "{ point: Point { x: 1, y: 2 }, tags: Map(1) { 'a' => Set(1) { 1 } }, " +
+          "[Symbol(id)]: 7 }"
+      );
+    });
+
+    this.it("should truncate long arrays, strings and deep objects", function () {
+      const value = { list: [1, 2, 3, 4], text: "abcdef", a: { b: { c: {} } } };
+      const output = Debugger.inspect(value, {
+        depth: 1,
+        maxArrayLength: 2,
+        maxStringLength: 3,
+      });
+      this.expect(output).toContain("[ 1, 2, ... 2 more items ]");
+      this.expect(output).toContain("'abc'... 3 more characters");
+      this.expect(output).toContain("a: { b: [Object] }");
+    });
+
+    this.it("should break long objects into indented lines", function () {
+      const output = Debugger.inspect({
+        text: "x".repeat(40),
+        more: "y".repeat(40),
+      });
+      this.expect(output.split("\n")).toHaveLength(4);
+      this.expect(output.split("\n")[1]).toMatch(/^  text: /);
+    });
+  });
+});
+
+// 테스트가 모두 끝난 뒤 나머지 예제 실행
+test.run()
+  .then(() => demonstratePerformance())
+  .then(() => demonstrateDebugger());
+
+// 성능 비교
+async function demonstratePerformance() {
+  // 모두 동기 함수라서 결과가 바로 반환됨
+  PerformanceTester.compare({
+    "For Loop": () => {
+      let sum = 0;
+      for (let i = 0; i < 1000; i++) {
+        sum += i;
+      }
+    },
+    "While Loop": () => {
+      let sum = 0;
+      let i = 0;
+      while (i < 1000) {
+        sum += i;
+        i++;
+      }
+    },
+    Reduce: () => {
+      Array.from({ length: 1000 }, (_, i) => i).reduce((a, b) => a + b, 0);
+    },
+  });
+
+  // 비동기 함수 비교 + 기준선 검사
+  // 첫 실행에서 기준선을 저장하고, 이후 실행부터 50% 넘게 느려지면 실패로 처리
+  const tasks = Array.from({ length: 20 }, (_, i) => () =>
+    Promise.resolve(i)
+  );
+  try {
+    await PerformanceTester.compare(
+      {
+        "Promise.all": () => Promise.all(tasks.map((task) => task())),
+        "Sequential await": async () => {
+          for (const task of tasks) await task();
+        },
+      },
+      {
+        baseline: path.join(os.tmpdir(), "simpletest-benchmark-baseline.json"),
+        threshold: 0.5,
+      }
+    );
+  } catch (error) {
+    if (!(error instanceof BenchmarkRegressionError)) throw error;
+    console.log(`\n❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
 // 디버깅 예제
-const person = { name: "John", age: 30 };
-Debugger.trace(person, "age");
-person.age = 31;
-person.age;
-
-const calculator = {
-  add(a, b) {
-    return a + b;
-  },
-  multiply(a, b) {
-    return a * b;
-  },
-};
-Debugger.spy(calculator, "add");
-calculator.add(5, 3);
-
-const complexObj = {
-  users: [
-    { id: 1, name: "Alice", meta: { active: true } },
-    { id: 2, name: "Bob", meta: { active: false } },
-  ],
-};
-Debugger.deepLog(complexObj);
+function demonstrateDebugger() {
+  const person = { name: "John", age: 30, meta: { active: true } };
+  const watchpoint = Debugger.trace(person, "meta.active", {
+    breakOn: (event) => event.type === "set" && event.newValue === false,
+    onBreak: ({ stack }) =>
+      console.log(`⛔ 비활성화됨\n${stack.split("\n")[0]}`),
+  });
+  person.meta.active = false;
+  person.meta.active;
+  watchpoint.untrace();
+
+  const calculator = {
+    add(a, b) {
+      return a + b;
+    },
+    multiply(a, b) {
+      return a * b;
+    },
+  };
+  Debugger.spy(calculator, "add");
+  calculator.add(5, 3);
+
+  const complexObj = {
+    users: [
+      { id: 1, name: "Alice", meta: { active: true } },
+      { id: 2, name: "Bob", meta: { active: false } },
+    ],
+    roles: new Map([["admin", new Set([1])]]),
+    createdAt: new Date(0),
+  };
+  complexObj.self = complexObj;
+  Debugger.deepLog(complexObj);
+}
@@ -0,0 +1,84 @@
+/**
+ * 벤치마크 기준선(baseline)
+ * 벤치마크 결과를 JSON 파일로 저장해 두고, 이후 실행 결과를 그 기준과 비교해 성능 저하를 찾습니다.
+ * 비교는 GC 같은 이상치의 영향을 덜 받는 중앙값(median)으로 합니다.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export class BenchmarkRegressionError extends Error {
+  constructor(regressions, threshold) {
+    const lines = regressions.map(
+      ({ name, change }) => `  ${name}: ${(change * 100).toFixed(1)}% 느려짐`
+    );
+    super(
+      `기준선 대비 ${(threshold * 100).toFixed(0)}% 넘게 느려진 벤치마크가 ` +
+        `${regressions.length}개 있습니다\n${lines.join("\n")}`
+    );
+    this.name = "BenchmarkRegressionError";
+    this.regressions = regressions;
+    this.threshold = threshold;
+  }
+}
+
+export function loadBaseline(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// 비교에 필요한 값만 남겨서 저장 (샘플 원본은 저장하지 않음)
+export function saveBaseline(file, results) {
+  const benchmarks = {};
+  Object.values(results).forEach(
+    ({ name, mean, median, p95, p99, stddev, rme, opsPerSec, samples }) => {
+      benchmarks[name] = {
+        mean,
+        median,
+        p95,
+        p99,
+        stddev,
+        rme,
+        opsPerSec,
+        samples,
+      };
+    }
+  );
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      {
+        createdAt: new Date().toISOString(),
+        node: process.version,
+        benchmarks,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * 기준선과 비교
+ * change는 (현재 중앙값 / 기준 중앙값 - 1), threshold보다 크면 regression
+ * 기준선에 없는 벤치마크는 status "new"로 표시합니다.
+ */
+export function compareWithBaseline(baseline, results, { threshold = 0.1 } = {}) {
+  const comparisons = Object.values(results).map(({ name, median }) => {
+    const previous = baseline.benchmarks[name];
+    if (!previous) return { name, status: "new", change: null };
+
+    const change = median / previous.median - 1;
+    let status = "same";
+    if (change > threshold) status = "regression";
+    else if (change < -threshold) status = "improvement";
+    return { name, status, change, baseline: previous.median, current: median };
+  });
+
+  return {
+    comparisons,
+    regressions: comparisons.filter(({ status }) => status === "regression"),
+  };
+}
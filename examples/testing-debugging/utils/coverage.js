@@ -0,0 +1,366 @@
+/**
+ * 코드 커버리지
+ * NODE_V8_COVERAGE로 V8이 남긴 실행 횟수 데이터를 파일별 줄/분기/함수 커버리지로 바꾸고
+ * 텍스트 요약, lcov(lcov.info), HTML 보고서로 출력합니다.
+ *
+ * V8은 함수마다 [함수 전체 범위, ...안쪽 블록 범위] 형태로 실행 횟수를 줍니다.
+ * - 줄: 그 줄의 끝을 감싸는 가장 안쪽 범위의 실행 횟수
+ *   (`function f() {`처럼 줄 중간에서 시작하는 범위도 포함, 주석과 `});` 같은 닫는 줄은 제외)
+ * - 분기: 함수 안의 블록 범위(if/else, 삼항, &&, catch, return 이후 등) 하나하나
+ * - 함수: 함수 전체 범위 (모듈 최상위 코드는 제외)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const COMMENT_LINE = /^(\/\/|\/\*|\*)/;
+const CLOSING_LINE = /^[\s})\];,]+$/;
+
+// 파일 내용에서 각 줄의 시작 오프셋
+function lineStarts(source) {
+  const starts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") starts.push(i + 1);
+  }
+  return starts;
+}
+
+// 오프셋이 몇 번째 줄(1부터)인지
+function lineOf(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+function createFileCoverage(file, source) {
+  return {
+    file,
+    source,
+    starts: lineStarts(source),
+    lines: new Map(), // 줄 번호 -> 실행 횟수
+    branches: new Map(), // "시작:끝" -> { line, count }
+    functions: new Map(), // "시작:끝" -> { name, line, count }
+  };
+}
+
+// 프로세스 하나가 보고한 스크립트 커버리지를 파일 커버리지에 더함
+function addScriptCoverage(coverage, functions) {
+  const { source, starts } = coverage;
+  const ranges = functions
+    .flatMap((fn) => fn.ranges)
+    .sort(
+      (a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset
+    );
+
+  source.split("\n").forEach((text, index) => {
+    const trimmed = text.trim();
+    const executable =
+      trimmed && !COMMENT_LINE.test(trimmed) && !CLOSING_LINE.test(trimmed);
+    if (!executable) return;
+
+    const end = starts[index] + text.indexOf(trimmed[0]) + trimmed.length;
+    // 정렬 순서상 마지막으로 감싸는 범위가 가장 안쪽 범위
+    let count = null;
+    for (const range of ranges) {
+      if (range.startOffset >= end) break;
+      if (range.endOffset >= end) count = range.count;
+    }
+    if (count === null) return;
+
+    const line = index + 1;
+    coverage.lines.set(line, (coverage.lines.get(line) || 0) + count);
+  });
+
+  functions.forEach(({ functionName, ranges: [whole, ...blocks] }) => {
+    const isModuleScope = functionName === "" && whole.startOffset === 0;
+    if (!isModuleScope) {
+      const key = `${whole.startOffset}:${whole.endOffset}`;
+      const entry = coverage.functions.get(key) || {
+        name: functionName || "(anonymous)",
+        line: lineOf(starts, whole.startOffset),
+        count: 0,
+      };
+      entry.count += whole.count;
+      coverage.functions.set(key, entry);
+    }
+
+    blocks.forEach(({ startOffset, endOffset, count }) => {
+      const key = `${startOffset}:${endOffset}`;
+      const entry = coverage.branches.get(key) || {
+        line: lineOf(starts, startOffset),
+        count: 0,
+      };
+      entry.count += count;
+      coverage.branches.set(key, entry);
+    });
+  });
+}
+
+/**
+ * dir에 쌓인 V8 커버리지 JSON을 읽어 파일별 커버리지로 합침
+ * include(file)가 true인 파일만 포함합니다.
+ */
+export function collectCoverage(dir, { include = () => true } = {}) {
+  const files = new Map();
+
+  fs.readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .forEach((name) => {
+      const { result } = JSON.parse(
+        fs.readFileSync(path.join(dir, name), "utf8")
+      );
+      result.forEach(({ url, functions }) => {
+        if (!url.startsWith("file://")) return;
+        const file = fileURLToPath(url);
+        if (!include(file) || !fs.existsSync(file)) return;
+
+        if (!files.has(file)) {
+          files.set(
+            file,
+            createFileCoverage(file, fs.readFileSync(file, "utf8"))
+          );
+        }
+        addScriptCoverage(files.get(file), functions);
+      });
+    });
+
+  return [...files.values()].sort((a, b) => a.file.localeCompare(b.file));
+}
+
+const ratio = (covered, total) => ({
+  covered,
+  total,
+  pct: total === 0 ? 100 : (covered / total) * 100,
+});
+
+export function summarizeFile({ lines, branches, functions }) {
+  const hit = (entries) => entries.filter((count) => count > 0).length;
+  const lineCounts = [...lines.values()];
+  const branchCounts = [...branches.values()].map(({ count }) => count);
+  const functionCounts = [...functions.values()].map(({ count }) => count);
+
+  return {
+    lines: ratio(hit(lineCounts), lineCounts.length),
+    branches: ratio(hit(branchCounts), branchCounts.length),
+    functions: ratio(hit(functionCounts), functionCounts.length),
+  };
+}
+
+// 모든 파일을 합친 요약
+export function summarizeTotal(files) {
+  const summaries = files.map(summarizeFile);
+  const total = (kind) =>
+    ratio(
+      summaries.reduce((sum, summary) => sum + summary[kind].covered, 0),
+      summaries.reduce((sum, summary) => sum + summary[kind].total, 0)
+    );
+  return {
+    lines: total("lines"),
+    branches: total("branches"),
+    functions: total("functions"),
+  };
+}
+
+// [3, 4, 5, 9] -> "3-5, 9"
+function formatLineRanges(lines) {
+  const ranges = [];
+  lines.forEach((line) => {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) last[1] = line;
+    else ranges.push([line, line]);
+  });
+  return ranges
+    .map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`))
+    .join(", ");
+}
+
+const uncoveredLines = ({ lines }) =>
+  [...lines]
+    .filter(([, count]) => count === 0)
+    .map(([line]) => line)
+    .sort((a, b) => a - b);
+
+// 파일별 표 형태의 텍스트 요약
+export function formatCoverageTable(files, { cwd = process.cwd() } = {}) {
+  const pct = ({ pct: value }) => value.toFixed(2);
+  const rows = files.map((coverage) => {
+    const summary = summarizeFile(coverage);
+    return [
+      path.relative(cwd, coverage.file),
+      pct(summary.lines),
+      pct(summary.branches),
+      pct(summary.functions),
+      formatLineRanges(uncoveredLines(coverage)),
+    ];
+  });
+  const total = summarizeTotal(files);
+  rows.push([
+    "All files",
+    pct(total.lines),
+    pct(total.branches),
+    pct(total.functions),
+    "",
+  ]);
+
+  const header = [
+    "File",
+    "% Lines",
+    "% Branches",
+    "% Funcs",
+    "Uncovered Lines",
+  ];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) =>
+        column === 0 || column === row.length - 1
+          ? cell.padEnd(widths[column])
+          : cell.padStart(widths[column])
+      )
+      .join(" | ")
+      .trimEnd();
+  const separator = widths.map((width) => "-".repeat(width)).join("-|-");
+
+  return [
+    formatRow(header),
+    separator,
+    ...rows.slice(0, -1).map(formatRow),
+    separator,
+    formatRow(rows[rows.length - 1]),
+  ].join("\n");
+}
+
+// lcov tracefile 형식 (genhtml, Codecov 등에서 사용)
+export function formatLcov(files) {
+  return files
+    .map((coverage) => {
+      const summary = summarizeFile(coverage);
+      const functions = [...coverage.functions.values()];
+      const branches = [...coverage.branches.values()];
+      return [
+        "TN:",
+        `SF:${coverage.file}`,
+        ...functions.map(({ name, line }) => `FN:${line},${name}`),
+        ...functions.map(({ name, count }) => `FNDA:${count},${name}`),
+        `FNF:${summary.functions.total}`,
+        `FNH:${summary.functions.covered}`,
+        ...branches.map(
+          ({ line, count }, index) => `BRDA:${line},${index},0,${count}`
+        ),
+        `BRF:${summary.branches.total}`,
+        `BRH:${summary.branches.covered}`,
+        ...[...coverage.lines].map(([line, count]) => `DA:${line},${count}`),
+        `LF:${summary.lines.total}`,
+        `LH:${summary.lines.covered}`,
+        "end_of_record",
+      ].join("\n");
+    })
+    .join("\n");
+}
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const HTML_STYLE = `
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+th, td { padding: 4px 10px; border-bottom: 1px solid #ddd; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+.low { background: #fce1e5; } .medium { background: #fff4c2; } .high { background: #e6f5d0; }
+pre { line-height: 1.4; }
+.hit { background: #e6f5d0; } .miss { background: #fce1e5; }
+.count { display: inline-block; width: 4em; color: #888; text-align: right; margin-right: 1em; }
+`;
+
+const level = (value) => (value >= 80 ? "high" : value >= 50 ? "medium" : "low");
+
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style></head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// 파일 목록(index.html)과 파일별 소스 페이지(실행된 줄/안 된 줄 색상 표시)
+export function writeHtmlReport(files, dir, { cwd = process.cwd() } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const cell = ({ pct, covered, total }) =>
+    `<td class="${level(pct)}">${pct.toFixed(2)}% (${covered}/${total})</td>`;
+
+  const rows = files.map((coverage) => {
+    const name = path.relative(cwd, coverage.file);
+    const page = `${name
+      .replace(/^(\.\.[\\/])+/, "")
+      .replace(/[\\/]/g, "_")}.html`;
+    const summary = summarizeFile(coverage);
+
+    const source = coverage.source
+      .split("\n")
+      .map((text, index) => {
+        const count = coverage.lines.get(index + 1);
+        const className =
+          count === undefined ? "" : count > 0 ? "hit" : "miss";
+        const label = count === undefined ? "" : `${count}x`;
+        return (
+          `<span class="${className}"><span class="count">${label}</span>` +
+          `${String(index + 1).padStart(4)}  ${escapeHtml(text)}</span>`
+        );
+      })
+      .join("\n");
+    fs.writeFileSync(
+      path.join(dir, page),
+      htmlPage(name, `<h1>${escapeHtml(name)}</h1>\n<pre>${source}</pre>`)
+    );
+
+    return (
+      `<tr><td><a href="${escapeHtml(page)}">${escapeHtml(name)}</a></td>` +
+      `${cell(summary.lines)}${cell(summary.branches)}` +
+      `${cell(summary.functions)}</tr>`
+    );
+  });
+
+  const total = summarizeTotal(files);
+  const table = [
+    "<table>",
+    "<tr><th>File</th><th>Lines</th><th>Branches</th><th>Functions</th></tr>",
+    ...rows,
+    `<tr><th>All files</th>${cell(total.lines)}${cell(total.branches)}` +
+      `${cell(total.functions)}</tr>`,
+    "</table>",
+  ].join("\n");
+  fs.writeFileSync(
+    path.join(dir, "index.html"),
+    htmlPage("Coverage report", `<h1>Coverage report</h1>\n${table}`)
+  );
+}
+
+/**
+ * 기준치 검사
+ * thresholds: { lines, branches, functions } (% 단위, 없는 항목은 검사하지 않음)
+ * 기준에 못 미친 항목의 설명 목록을 반환합니다.
+ */
+export function checkThresholds(total, thresholds = {}) {
+  return Object.entries(thresholds)
+    .filter(([kind, minimum]) => total[kind] && total[kind].pct < minimum)
+    .map(
+      ([kind, minimum]) =>
+        `${kind} 커버리지 ${total[kind].pct.toFixed(2)}%가 기준 ${minimum}%보다 낮습니다`
+    );
+}
@@ -0,0 +1,278 @@
+/**
+ * 값 표현과 구조적 diff
+ * 실패 메시지에서 기대값과 실제값을 줄 단위로 비교해 보여줍니다.
+ */
+
+import { deepEqual, ownKeys } from "./equality.js";
+import { formatPath, walk } from "./walk.js";
+
+// 실패 메시지용 한 줄 값 표현 (순환 참조는 [Circular])
+export function format(value) {
+  return walk(value, (current, { walkChild }) => {
+    if (typeof current === "string") return JSON.stringify(current);
+    if (typeof current === "bigint") return `${current}n`;
+    if (typeof current === "function") {
+      return `[Function ${current.name || "anonymous"}]`;
+    }
+    if (current === null || typeof current !== "object") return String(current);
+
+    if (current instanceof Date) {
+      return isNaN(current) ? "Invalid Date" : current.toISOString();
+    }
+    if (current instanceof RegExp) return String(current);
+    if (current instanceof Error) return `[${current.name}: ${current.message}]`;
+    if (Array.isArray(current)) {
+      return `[${current.map((v, i) => walkChild(v, i)).join(", ")}]`;
+    }
+    if (ArrayBuffer.isView(current) && !(current instanceof DataView)) {
+      return `${current.constructor.name} [${current.join(", ")}]`;
+    }
+    if (current instanceof Map) {
+      const entries = [...current].map(
+        ([k, v]) => `${walkChild(k, k)} => ${walkChild(v, k)}`
+      );
+      return `Map {${entries.join(", ")}}`;
+    }
+    if (current instanceof Set) {
+      const values = [...current].map((v, i) => walkChild(v, i));
+      return `Set {${values.join(", ")}}`;
+    }
+
+    const props = ownKeys(current).map(
+      (key) => `${String(key)}: ${walkChild(current[key], key)}`
+    );
+    const name = current.constructor?.name;
+    const prefix = name && name !== "Object" ? `${name} ` : "";
+    return `${prefix}{${props.join(", ")}}`;
+  });
+}
+
+const COLORS = { "-": 32, "+": 31 }; // 기대값은 초록, 실제값은 빨강
+
+function colorize(sign, text, color) {
+  return color && COLORS[sign] ? `\x1b[${COLORS[sign]}m${text}\x1b[39m` : text;
+}
+
+export function supportsColor() {
+  return (
+    typeof process !== "undefined" &&
+    Boolean(process.stdout?.isTTY) &&
+    !process.env.NO_COLOR
+  );
+}
+
+// 펼쳐서 항목별로 비교할 수 있는 값의 종류 (그 외는 한 줄로 비교)
+function containerKind(value) {
+  if (Array.isArray(value)) return "array";
+  if (value instanceof Map) return "map";
+  if (value === null || typeof value !== "object") return null;
+  if (
+    value instanceof Date ||
+    value instanceof RegExp ||
+    value instanceof Error ||
+    value instanceof Set ||
+    ArrayBuffer.isView(value)
+  ) {
+    return null;
+  }
+  return "object";
+}
+
+function entriesOf(value, kind) {
+  if (kind === "array") return value.map((item, index) => [index, item]);
+  if (kind === "map") return [...value];
+  return ownKeys(value).map((key) => [key, value[key]]);
+}
+
+function hasEntry(value, key, kind) {
+  if (kind === "map") return value.has(key);
+  if (kind === "array") return key < value.length;
+  return Object.prototype.hasOwnProperty.call(value, key);
+}
+
+function valueAt(root, path) {
+  return path.reduce(
+    (value, key) => (value instanceof Map ? value.get(key) : value?.[key]),
+    root
+  );
+}
+
+function brackets(kind, value) {
+  if (kind === "array") return ["[", "]"];
+  if (kind === "map") return ["Map {", "}"];
+  const name = value.constructor?.name;
+  return [name && name !== "Object" ? `${name} {` : "{", "}"];
+}
+
+function entryLabel(key, kind) {
+  if (kind === "array") return "";
+  if (kind === "map") return `${format(key)} => `;
+  return `${String(key)}: `;
+}
+
+/**
+ * 기대값(expected)과 실제값(actual)의 줄 단위 diff 문자열 생성
+ * 같은 부분은 한 줄로 접고, 다른 부분만 펼쳐서 "-"(기대값) / "+"(실제값)로 표시합니다.
+ * 마지막에 불일치가 발생한 경로 목록(예: users[1].meta.active)을 덧붙입니다.
+ */
+export function diff(
+  expected,
+  actual,
+  { strict = false, color = supportsColor() } = {}
+) {
+  const mismatches = [];
+  // head/tail: 항목의 시작/끝 줄 (부모가 키 라벨과 쉼표를 붙일 위치)
+  const line = (sign, text, head = true, tail = true) => ({
+    sign,
+    text,
+    depth: 0,
+    head,
+    tail,
+  });
+  const changed = (path, exp, act) => {
+    mismatches.push(path);
+    return [line("-", format(exp)), line("+", format(act))];
+  };
+
+  // 부모 컨테이너 안에 넣을 수 있도록 라벨, 쉼표, 들여쓰기를 적용
+  const nest = (lines, label) =>
+    lines.map((entry) => ({
+      ...entry,
+      text: `${entry.head ? label : ""}${entry.text}${entry.tail ? "," : ""}`,
+      depth: entry.depth + 1,
+      head: false,
+      tail: false,
+    }));
+
+  const lines = walk(
+    expected,
+    (exp, { path, walkChild }) => {
+      const act = valueAt(actual, path);
+      if (deepEqual(exp, act, { strict })) return [line(" ", format(act))];
+
+      const kind = containerKind(exp);
+      const sameShape =
+        kind !== null &&
+        kind === containerKind(act) &&
+        (!strict || Object.getPrototypeOf(exp) === Object.getPrototypeOf(act));
+      if (!sameShape) return changed(path, exp, act);
+
+      const [open, close] = brackets(kind, exp);
+      const result = [line(" ", open, true, false)];
+
+      entriesOf(exp, kind).forEach(([key, value]) => {
+        const label = entryLabel(key, kind);
+        if (hasEntry(act, key, kind)) {
+          result.push(...nest(walkChild(value, key), label));
+        } else if (value === undefined && !strict) {
+          result.push(...nest([line(" ", format(value))], label));
+        } else {
+          mismatches.push([...path, key]);
+          result.push(...nest([line("-", format(value))], label));
+        }
+      });
+
+      entriesOf(act, kind)
+        .filter(([key]) => !hasEntry(exp, key, kind))
+        .forEach(([key, value]) => {
+          const label = entryLabel(key, kind);
+          if (value === undefined && !strict) {
+            result.push(...nest([line(" ", format(value))], label));
+          } else {
+            mismatches.push([...path, key]);
+            result.push(...nest([line("+", format(value))], label));
+          }
+        });
+
+      result.push(line(" ", close, false, true));
+      return result;
+    },
+    {
+      // 실제값도 같은 조상을 가리키면 순환 구조가 같으므로 더 펼치지 않음
+      onCircular: (exp, { path, target }) => {
+        const act = valueAt(actual, path);
+        return act === valueAt(actual, target) ||
+          deepEqual(exp, act, { strict })
+          ? [line(" ", "[Circular]")]
+          : changed(path, exp, act);
+      },
+    }
+  );
+
+  const paint = (sign, text) => colorize(sign, text, color);
+  const body = lines.map(({ sign, text, depth }) =>
+    paint(sign, `${sign} ${"  ".repeat(depth)}${text}`)
+  );
+  // Map의 객체 키처럼 서로 다른 키가 같은 경로 문자열이 될 수 있으므로 중복 제거
+  const paths = [
+    ...new Set(mismatches.map((path) => formatPath(path) || "(root)")),
+  ].map((path) => `  ${path}`);
+
+  return [
+    paint("-", "- Expected"),
+    paint("+", "+ Received"),
+    "",
+    ...body,
+    "",
+    "Mismatched paths:",
+    ...paths,
+  ].join("\n");
+}
+
+/**
+ * 여러 줄 문자열의 줄 단위 diff (LCS 기반)
+ * 스냅샷처럼 이미 직렬화된 문자열을 비교할 때 사용합니다.
+ */
+export function diffLines(
+  expected,
+  actual,
+  {
+    expectedLabel = "Expected",
+    actualLabel = "Received",
+    color = supportsColor(),
+  } = {}
+) {
+  const a = expected.split("\n");
+  const b = actual.split("\n");
+
+  // lengths[i][j]: a[i..], b[j..]의 최장 공통 부분 수열 길이
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const paint = (sign, text) => colorize(sign, text, color);
+  const body = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      body.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (
+      j >= b.length ||
+      (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      body.push(paint("-", `- ${a[i]}`));
+      i++;
+    } else {
+      body.push(paint("+", `+ ${b[j]}`));
+      j++;
+    }
+  }
+
+  return [
+    paint("-", `- ${expectedLabel}`),
+    paint("+", `+ ${actualLabel}`),
+    "",
+    ...body,
+  ].join("\n");
+}
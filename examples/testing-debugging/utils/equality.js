@@ -0,0 +1,104 @@
+/**
+ * 값 비교 유틸리티
+ * 키 순서, Map/Set, Date, undefined, 순환 참조를 모두 고려해 두 값을 비교합니다.
+ */
+
+// 열거 가능한 자기 프로퍼티 (Symbol 키 포함)
+export function ownKeys(obj) {
+  const symbols = Object.getOwnPropertySymbols(obj).filter((symbol) =>
+    Object.prototype.propertyIsEnumerable.call(obj, symbol)
+  );
+  return [...Object.keys(obj), ...symbols];
+}
+
+/**
+ * 구조적 깊은 비교
+ * - strict가 false면 값이 undefined인 키는 없는 것으로 보고 클래스도 무시 (toEqual)
+ * - strict가 true면 undefined 키와 프로토타입까지 비교 (toStrictEqual)
+ */
+export function deepEqual(a, b, { strict = false } = {}) {
+  return equals(a, b, strict, new Map());
+}
+
+function equals(a, b, strict, seen) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object") return false;
+  if (a === null || b === null) return false;
+
+  // 비교 중인 쌍을 다시 만나면 순환 참조이므로 같다고 가정
+  let pairs = seen.get(a);
+  if (pairs?.has(b)) return true;
+  if (!pairs) seen.set(a, (pairs = new Set()));
+  pairs.add(b);
+
+  try {
+    return equalObjects(a, b, strict, seen);
+  } finally {
+    pairs.delete(b);
+  }
+}
+
+function equalObjects(a, b, strict, seen) {
+  const tag = Object.prototype.toString.call(a);
+  if (tag !== Object.prototype.toString.call(b)) return false;
+  if (strict && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false;
+  }
+
+  if (a instanceof Date) return Object.is(a.getTime(), b.getTime());
+  if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+  if (a instanceof Number || a instanceof String || a instanceof Boolean) {
+    return Object.is(a.valueOf(), b.valueOf());
+  }
+  if (a instanceof Error && (a.name !== b.name || a.message !== b.message)) {
+    return false;
+  }
+
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false;
+    for (const [key, value] of a) {
+      const found = b.has(key)
+        ? equals(value, b.get(key), strict, seen)
+        : [...b].some(
+            ([otherKey, otherValue]) =>
+              equals(key, otherKey, strict, seen) &&
+              equals(value, otherValue, strict, seen)
+          );
+      if (!found) return false;
+    }
+    return true;
+  }
+
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false;
+    for (const value of a) {
+      if (b.has(value)) continue;
+      if (![...b].some((other) => equals(value, other, strict, seen))) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  if (ArrayBuffer.isView(a) || a instanceof ArrayBuffer) {
+    const bytesA = new Uint8Array(a.buffer || a, a.byteOffset, a.byteLength);
+    const bytesB = new Uint8Array(b.buffer || b, b.byteOffset, b.byteLength);
+    return (
+      bytesA.length === bytesB.length &&
+      bytesA.every((byte, i) => byte === bytesB[i])
+    );
+  }
+
+  if (Array.isArray(a) && a.length !== b.length) return false;
+
+  const keep = (obj) => (key) => strict || obj[key] !== undefined;
+  const keysA = ownKeys(a).filter(keep(a));
+  const keysB = ownKeys(b).filter(keep(b));
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(
+    (key) =>
+      Object.prototype.hasOwnProperty.call(b, key) &&
+      equals(a[key], b[key], strict, seen)
+  );
+}
@@ -0,0 +1,117 @@
+/**
+ * 깊은 비교와 diff 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ */
+
+import { diff, diffLines, format } from "./diff.js";
+import { deepEqual } from "./equality.js";
+
+// 자기 자신을 가리키는 노드
+function createCycle(value) {
+  const node = { value, next: null };
+  node.next = node;
+  return node;
+}
+
+export default function (test) {
+  test.describe("deepEqual", function () {
+    this.it("should compare cyclic structures", function () {
+      this.expect(deepEqual(createCycle(1), createCycle(1))).toBe(true);
+      this.expect(deepEqual(createCycle(1), createCycle(2))).toBe(false);
+
+      const a = { name: "a" };
+      const b = { name: "b", friend: a };
+      a.friend = b;
+      const c = { name: "a" };
+      const d = { name: "b", friend: c };
+      c.friend = d;
+      this.expect(deepEqual(a, c)).toBe(true);
+      this.expect(deepEqual(a, d)).toBe(false);
+    });
+
+    this.it("should compare Map, Set and Date by content", function () {
+      this.expect(
+        deepEqual(new Map([[{ id: 1 }, "a"]]), new Map([[{ id: 1 }, "a"]]))
+      ).toBe(true);
+      this.expect(
+        deepEqual(new Set([1, { x: 1 }]), new Set([{ x: 1 }, 1]))
+      ).toBe(true);
+      this.expect(deepEqual(new Set([1, 2]), new Set([1, 3]))).toBe(false);
+      this.expect(deepEqual(new Date(0), new Date(0))).toBe(true);
+      this.expect(deepEqual(new Date(0), new Date(1))).toBe(false);
+    });
+
+    this.it("should loosen only without strict", function () {
+      class Point {
+        constructor(x) {
+          this.x = x;
+        }
+      }
+
+      this.expect(deepEqual({ a: 1, b: undefined }, { a: 1 })).toBe(true);
+      this.expect(
+        deepEqual({ a: 1, b: undefined }, { a: 1 }, { strict: true })
+      ).toBe(false);
+      this.expect(deepEqual(new Point(1), { x: 1 })).toBe(true);
+      this.expect(deepEqual(new Point(1), { x: 1 }, { strict: true })).toBe(
+        false
+      );
+      this.expect(deepEqual([1, 2], { 0: 1, 1: 2 })).toBe(false);
+      this.expect(deepEqual(NaN, NaN)).toBe(true);
+    });
+
+    this.it("should be symmetric", function () {
+      const value = this.gen.oneOf(
+        this.gen.int({ min: 0, max: 3 }),
+        this.gen.array(this.gen.int({ min: 0, max: 3 }), { maxLength: 3 })
+      );
+      this.property(
+        [value, value],
+        (a, b) => deepEqual(a, b) === deepEqual(b, a)
+      );
+    });
+  });
+
+  test.describe("diff", function () {
+    this.it("should mark cycles and paths", function () {
+      const expected = createCycle(1);
+      const actual = createCycle(2);
+
+      this.expect(diff(expected, actual, { color: false })).toBe(
+        [
+          "- Expected",
+          "+ Received",
+          "",
+          "  {",
+          "-   value: 1,",
+          "+   value: 2,",
+          "    next: [Circular],",
+          "  }",
+          "",
+          "Mismatched paths:",
+          "  value",
+        ].join("\n")
+      );
+    });
+
+    this.it("should show missing and extra keys", function () {
+      const output = diff({ a: 1, b: 2 }, { a: 1, c: 3 }, { color: false });
+      this.expect(output).toContain("-   b: 2,");
+      this.expect(output).toContain("+   c: 3,");
+      this.expect(output.split("Mismatched paths:\n")[1]).toBe("  b\n  c");
+    });
+
+    this.it("should diff multi-line strings line by line", function () {
+      this.expect(diffLines("a\nb\nc", "a\nc\nd", { color: false })).toBe(
+        ["- Expected", "+ Received", "", "  a", "- b", "  c", "+ d"].join("\n")
+      );
+    });
+
+    this.it("should format values on one line", function () {
+      const node = { id: 1 };
+      node.self = node;
+      this.expect(format(node)).toBe("{id: 1, self: [Circular]}");
+      this.expect(format(new Map([["a", [1n]]]))).toBe('Map {"a" => [1n]}');
+    });
+  });
+}
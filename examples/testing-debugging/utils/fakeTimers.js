@@ -0,0 +1,214 @@
+/**
+ * 가짜 시계 (Fake Timers)
+ * setTimeout / setInterval / Date를 가짜로 바꿔서
+ * debounce, throttle, TTL 캐시, 재시도 백오프를 실제로 기다리지 않고 테스트합니다.
+ */
+
+// 설치 전에 진짜 타이머를 보관 (복원과 마이크로태스크 비우기에 사용)
+const realTimers = {
+  setTimeout: globalThis.setTimeout,
+  clearTimeout: globalThis.clearTimeout,
+  setInterval: globalThis.setInterval,
+  clearInterval: globalThis.clearInterval,
+  setImmediate: globalThis.setImmediate,
+  Date: globalThis.Date,
+  dateNow: Date.now,
+};
+
+/**
+ * 인자 없는 `new Date()`와 `Date()`가 가짜 시계의 시간을 쓰는 Date
+ * prototype은 진짜 Date와 공유해서 설치 전에 만든 Date도 instanceof Date가 유지됩니다.
+ */
+function createFakeDate(clock) {
+  const RealDate = realTimers.Date;
+
+  function FakeDate(...args) {
+    if (!new.target) return new RealDate(clock.now).toString();
+    return Reflect.construct(
+      RealDate,
+      args.length > 0 ? args : [clock.now],
+      new.target
+    );
+  }
+  Object.setPrototypeOf(FakeDate, RealDate); // Date.parse, Date.UTC 상속
+  FakeDate.prototype = RealDate.prototype;
+  FakeDate.now = () => clock.now;
+  return FakeDate;
+}
+
+export class FakeClock {
+  constructor({ now = realTimers.dateNow(), loopLimit = 1000 } = {}) {
+    this.now = now;
+    this.loopLimit = loopLimit; // runAllTimers 무한 루프 방지용 상한
+    this.timers = new Map();
+    this.nextId = 1;
+    this.installed = false;
+  }
+
+  install() {
+    if (this.installed) {
+      throw new Error("가짜 시계가 이미 설치되어 있습니다");
+    }
+
+    const clock = this;
+    globalThis.setTimeout = (callback, delay, ...args) =>
+      clock.addTimer(callback, delay, args, false);
+    globalThis.setInterval = (callback, delay, ...args) =>
+      clock.addTimer(callback, delay, args, true);
+    globalThis.clearTimeout = (handle) =>
+      clock.removeTimer(handle, realTimers.clearTimeout);
+    globalThis.clearInterval = (handle) =>
+      clock.removeTimer(handle, realTimers.clearInterval);
+    globalThis.Date = createFakeDate(clock);
+
+    this.installed = true;
+    return this;
+  }
+
+  uninstall() {
+    if (!this.installed) return;
+
+    globalThis.setTimeout = realTimers.setTimeout;
+    globalThis.clearTimeout = realTimers.clearTimeout;
+    globalThis.setInterval = realTimers.setInterval;
+    globalThis.clearInterval = realTimers.clearInterval;
+    globalThis.Date = realTimers.Date;
+
+    this.timers.clear();
+    this.installed = false;
+  }
+
+  // Node의 Timeout 객체처럼 unref()/ref()를 호출해도 되는 핸들을 돌려줌
+  addTimer(callback, delay = 0, args = [], repeat = false) {
+    const id = this.nextId++;
+    const interval = Math.max(0, Number(delay) || 0);
+    this.timers.set(id, {
+      id,
+      callback,
+      args,
+      interval,
+      repeat,
+      time: this.now + interval,
+    });
+
+    return {
+      id,
+      clock: this,
+      ref() {
+        return this;
+      },
+      unref() {
+        return this;
+      },
+      hasRef: () => true,
+      refresh: () => {
+        const timer = this.timers.get(id);
+        if (timer) timer.time = this.now + timer.interval;
+      },
+      [Symbol.toPrimitive]: () => id,
+    };
+  }
+
+  // 설치 전에 만들어진 진짜 타이머 핸들은 진짜 clear 함수로 넘김
+  removeTimer(handle, realClear) {
+    if (handle == null) return;
+    if (typeof handle === "object" && handle.clock !== this) {
+      realClear(handle);
+      return;
+    }
+    this.timers.delete(typeof handle === "object" ? handle.id : Number(handle));
+  }
+
+  getTimerCount() {
+    return this.timers.size;
+  }
+
+  // 가장 먼저 실행될 타이머 (시간이 같으면 먼저 등록된 것)
+  nextTimer() {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (!next || timer.time < next.time) next = timer;
+    }
+    return next;
+  }
+
+  runTimer(timer) {
+    this.now = Math.max(this.now, timer.time);
+    if (timer.repeat) {
+      timer.time = this.now + Math.max(timer.interval, 1);
+    } else {
+      this.timers.delete(timer.id);
+    }
+    timer.callback(...timer.args);
+  }
+
+  // ms만큼 시간을 진행시키며 그 사이에 예약된 타이머를 순서대로 실행
+  advanceTimersByTime(ms) {
+    const target = this.now + ms;
+    let next = this.nextTimer();
+    while (next && next.time <= target) {
+      this.runTimer(next);
+      next = this.nextTimer();
+    }
+    this.now = target;
+  }
+
+  // 남은 타이머가 없을 때까지 실행 (실행 중 새로 예약된 타이머 포함)
+  runAllTimers() {
+    for (let i = 0; i < this.loopLimit; i++) {
+      const next = this.nextTimer();
+      if (!next) return;
+      this.runTimer(next);
+    }
+    throw new Error(
+      `타이머를 ${this.loopLimit}번 실행해도 끝나지 않았습니다 (무한 setInterval?)`
+    );
+  }
+
+  // 지금 예약되어 있는 타이머만 실행 (실행 중 새로 예약된 타이머는 제외)
+  runOnlyPendingTimers() {
+    const pending = [...this.timers.values()].sort((a, b) => a.time - b.time);
+    pending.forEach((timer) => {
+      if (this.timers.has(timer.id)) this.runTimer(timer);
+    });
+  }
+
+  // 대기 중인 Promise 콜백(마이크로태스크)을 모두 실행
+  flushMicrotasks() {
+    return new Promise((resolve) =>
+      realTimers.setImmediate
+        ? realTimers.setImmediate(resolve)
+        : realTimers.setTimeout(resolve, 0)
+    );
+  }
+
+  /**
+   * advanceTimersByTime의 async 버전
+   * 타이머 사이마다 마이크로태스크를 비워서
+   * `await new Promise(r => setTimeout(r, delay))` 형태의 재시도 루프도 진행됩니다.
+   */
+  async advanceTimersByTimeAsync(ms) {
+    const target = this.now + ms;
+    await this.flushMicrotasks();
+    let next = this.nextTimer();
+    while (next && next.time <= target) {
+      this.runTimer(next);
+      await this.flushMicrotasks();
+      next = this.nextTimer();
+    }
+    this.now = target;
+  }
+
+  async runAllTimersAsync() {
+    await this.flushMicrotasks();
+    for (let i = 0; i < this.loopLimit; i++) {
+      const next = this.nextTimer();
+      if (!next) return;
+      this.runTimer(next);
+      await this.flushMicrotasks();
+    }
+    throw new Error(
+      `타이머를 ${this.loopLimit}번 실행해도 끝나지 않았습니다 (무한 setInterval?)`
+    );
+  }
+}
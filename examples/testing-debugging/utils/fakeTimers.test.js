@@ -0,0 +1,135 @@
+/**
+ * 가짜 시계 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ */
+
+import { FakeClock } from "./fakeTimers.js";
+import { SimpleTest } from "./simpleTest.js";
+
+export default function (test) {
+  test.describe("FakeClock", function () {
+    this.beforeEach(function () {
+      this.useFakeTimers({ now: 1000 });
+    });
+
+    this.it("should run due timers in time order", function () {
+      const calls = [];
+      setTimeout(() => calls.push("b"), 200);
+      setTimeout(() => calls.push("a"), 100);
+      setTimeout(() => calls.push("c"), 200);
+
+      this.clock.advanceTimersByTime(199);
+      this.expect(calls).toEqual(["a"]);
+      this.clock.advanceTimersByTime(1);
+      this.expect(calls).toEqual(["a", "b", "c"]);
+      this.expect(Date.now()).toBe(1200);
+    });
+
+    this.it("should use the fake time for new Date()", function () {
+      const before = new Date(0);
+      this.clock.advanceTimersByTime(500);
+
+      this.expect(new Date().getTime()).toBe(1500);
+      this.expect(Date()).toBe(new Date(1500).toString());
+      this.expect(new Date(2024, 0, 1).getFullYear()).toBe(2024);
+      this.expect(Date.UTC(1970, 0, 1)).toBe(0);
+      this.expect(before).toBeInstanceOf(Date);
+      this.expect(new Date()).toBeInstanceOf(Date);
+    });
+
+    this.it("should repeat intervals until cleared", function () {
+      const tick = this.fn();
+      const handle = setInterval(tick, 50, "arg");
+
+      this.clock.advanceTimersByTime(175);
+      this.expect(tick).toHaveBeenCalledTimes(3);
+      this.expect(tick).toHaveBeenLastCalledWith("arg");
+
+      clearInterval(handle);
+      this.clock.advanceTimersByTime(1000);
+      this.expect(tick).toHaveBeenCalledTimes(3);
+      this.expect(this.clock.getTimerCount()).toBe(0);
+    });
+
+    this.it("should stop runaway intervals in runAllTimers", function () {
+      setInterval(() => {}, 10);
+      this.expect(() => this.clock.runAllTimers()).toThrow(
+        "타이머를 1000번 실행해도 끝나지 않았습니다"
+      );
+    });
+
+    this.it("should leave new timers for a later run", function () {
+      const calls = [];
+      setTimeout(() => {
+        calls.push("first");
+        setTimeout(() => calls.push("second"), 0);
+      }, 10);
+
+      this.clock.runOnlyPendingTimers();
+      this.expect(calls).toEqual(["first"]);
+      this.expect(this.clock.getTimerCount()).toBe(1);
+    });
+
+    this.it("should flush promise chains between timers", async function () {
+      const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+      const steps = [];
+      const task = (async () => {
+        for (let i = 0; i < 3; i++) {
+          await sleep(100);
+          steps.push(Date.now());
+        }
+      })();
+
+      await this.clock.advanceTimersByTimeAsync(300);
+      await task;
+      this.expect(steps).toEqual([1100, 1200, 1300]);
+    });
+
+    this.it("should pass real handles to clearTimeout", async function () {
+      this.useRealTimers();
+      const fired = this.fn();
+      const realHandle = setTimeout(fired, 5);
+
+      this.useFakeTimers();
+      clearTimeout(realHandle);
+      this.useRealTimers();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      this.expect(fired).not.toHaveBeenCalled();
+    });
+  });
+
+  test.describe("FakeClock install", function () {
+    this.it("should restore the real globals on uninstall", function () {
+      const { setTimeout: realSetTimeout, setInterval: realSetInterval } =
+        globalThis;
+      const RealDate = Date;
+      const realNow = Date.now;
+
+      const clock = new FakeClock({ now: 0 }).install();
+      this.expect(globalThis.setTimeout).not.toBe(realSetTimeout);
+      this.expect(Date.now()).toBe(0);
+      this.expect(() => clock.install()).toThrow(
+        "가짜 시계가 이미 설치되어 있습니다"
+      );
+
+      clock.uninstall();
+      this.expect(globalThis.setTimeout).toBe(realSetTimeout);
+      this.expect(globalThis.setInterval).toBe(realSetInterval);
+      this.expect(Date).toBe(RealDate);
+      this.expect(Date.now).toBe(realNow);
+    });
+
+    this.it("should uninstall after each test", async function () {
+      const realSetTimeout = globalThis.setTimeout;
+      const inner = new SimpleTest({ reporters: [] });
+      inner.it("fakes time", function () {
+        this.useFakeTimers();
+        setTimeout(() => {}, 1000);
+      });
+      await inner.run();
+
+      this.expect(globalThis.setTimeout).toBe(realSetTimeout);
+      this.expect(inner.clock).toBeNull();
+    });
+  });
+}
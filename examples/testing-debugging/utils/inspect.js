@@ -0,0 +1,233 @@
+/**
+ * 객체 인스펙터
+ * 중첩 객체를 들여쓰기된 여러 줄 문자열로 보여줍니다 (Node의 util.inspect와 비슷한 형식).
+ * 클래스 이름, Map/Set/TypedArray/ArrayBuffer 내용, Symbol 키, 접근자를 표시하고
+ * 순환 참조는 <ref *1> ... [Circular *1]처럼 어떤 객체를 가리키는지 번호로 연결합니다.
+ */
+
+import { ownKeys } from "./equality.js";
+import { walk } from "./walk.js";
+
+const defaultOptions = {
+  depth: 3, // 이보다 깊은 객체는 [Object], [Foo]처럼 이름만 표시
+  maxArrayLength: 100, // 배열/Map/Set/TypedArray에서 보여줄 최대 항목 수
+  maxStringLength: 10000, // 이보다 긴 문자열은 잘라냄
+  breakLength: 80, // 한 줄에 들어가면 여러 줄로 나누지 않음
+  getters: false, // true면 접근자를 호출해서 값을 보여줌
+};
+
+const isPrimitive = (value) =>
+  value === null || (typeof value !== "object" && typeof value !== "function");
+
+function quote(text) {
+  const escaped = JSON.stringify(text)
+    .slice(1, -1)
+    .replace(/\\"/g, '"')
+    .replace(/'/g, "\\'");
+  return `'${escaped}'`;
+}
+
+function inspectString(text, { maxStringLength }) {
+  if (text.length <= maxStringLength) return quote(text);
+  const rest = text.length - maxStringLength;
+  return `${quote(text.slice(0, maxStringLength))}... ${rest} more character${
+    rest > 1 ? "s" : ""
+  }`;
+}
+
+function inspectPrimitive(value, options) {
+  if (typeof value === "string") return inspectString(value, options);
+  if (typeof value === "bigint") return `${value}n`;
+  if (Object.is(value, -0)) return "-0";
+  return String(value);
+}
+
+function formatKey(key) {
+  if (typeof key === "symbol") return `[${String(key)}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+}
+
+const moreItems = (count) => `... ${count} more item${count > 1 ? "s" : ""}`;
+
+// 생성자 이름 (Object/Array처럼 기본인 경우는 빈 문자열, 프로토타입이 없으면 표시)
+function className(value, base) {
+  const proto = Object.getPrototypeOf(value);
+  if (proto === null) return `[${base}: null prototype] `;
+  const name = proto.constructor?.name;
+  return name && name !== base ? `${name} ` : "";
+}
+
+function functionLabel(fn) {
+  const source = Function.prototype.toString.call(fn);
+  if (source.startsWith("class")) return `[class ${fn.name || "(anonymous)"}]`;
+  const type = fn.constructor?.name || "Function";
+  return fn.name ? `[${type}: ${fn.name}]` : `[${type} (anonymous)]`;
+}
+
+/**
+ * value를 문자열로 변환
+ * options는 defaultOptions 참고 (depth/maxArrayLength/maxStringLength에 Infinity 사용 가능)
+ */
+export function inspect(value, userOptions = {}) {
+  const options = { ...defaultOptions, ...userOptions };
+  const refs = new Map(); // 순환 참조 대상 객체 -> 번호
+
+  // 항목들이 한 줄에 들어가면 { a, b }, 아니면 들여쓴 여러 줄로 배치
+  const wrap = (prefix, open, close, entries, depth) => {
+    if (entries.length === 0) return `${prefix}${open}${close}`;
+    const oneLine = `${prefix}${open} ${entries.join(", ")} ${close}`;
+    const fits =
+      depth * 2 + oneLine.length <= options.breakLength &&
+      entries.every((entry) => !entry.includes("\n"));
+    if (fits) return oneLine;
+
+    const body = entries
+      .map((entry) => `  ${entry.split("\n").join("\n  ")}`)
+      .join(",\n");
+    return `${prefix}${open}\n${body}\n${close}`;
+  };
+
+  const limit = (items) => items.slice(0, options.maxArrayLength);
+  // 잘려서 보이지 않는 항목 수를 덧붙임
+  const withRest = (entries, hidden) =>
+    hidden > 0 ? [...entries, moreItems(hidden)] : entries;
+
+  // 열거 가능한 자기 프로퍼티 (접근자는 [Getter]/[Setter]로 표시)
+  const properties = (current, walkChild) =>
+    ownKeys(current).map((key) => {
+      const descriptor = Object.getOwnPropertyDescriptor(current, key);
+      const shown =
+        descriptor.get || descriptor.set
+          ? accessor(current, descriptor, key, walkChild)
+          : walkChild(descriptor.value, key);
+      return `${formatKey(key)}: ${shown}`;
+    });
+
+  const accessor = (current, { get, set }, key, walkChild) => {
+    const label = get && set ? "Getter/Setter" : get ? "Getter" : "Setter";
+    if (!get || !options.getters) return `[${label}]`;
+    try {
+      return `[${label}: ${walkChild(get.call(current), key)}]`;
+    } catch (error) {
+      return `[${label}: <Inspection threw (${error.message})>]`;
+    }
+  };
+
+  const render = (current, { depth, walkChild }) => {
+    if (isPrimitive(current)) return inspectPrimitive(current, options);
+    if (typeof current === "function") return functionLabel(current);
+
+    if (current instanceof Date) {
+      return isNaN(current) ? "Invalid Date" : current.toISOString();
+    }
+    if (current instanceof RegExp) return String(current);
+    if (current instanceof Error) {
+      return current.stack || `[${current.name}: ${current.message}]`;
+    }
+    for (const Boxed of [Number, String, Boolean, BigInt, Symbol]) {
+      if (current instanceof Boxed) {
+        const primitive = inspectPrimitive(current.valueOf(), options);
+        return `[${Boxed.name}: ${primitive}]`;
+      }
+    }
+
+    if (Array.isArray(current)) {
+      const entries = [];
+      let holes = 0;
+      const flushHoles = () => {
+        if (holes === 0) return;
+        entries.push(`<${holes} empty item${holes > 1 ? "s" : ""}>`);
+        holes = 0;
+      };
+      const shown = Math.min(current.length, options.maxArrayLength);
+      for (let i = 0; i < shown; i++) {
+        if (!(i in current)) {
+          holes++;
+          continue;
+        }
+        flushHoles();
+        entries.push(walkChild(current[i], i));
+      }
+      flushHoles();
+      const prefix = className(current, "Array");
+      const hidden = current.length - shown;
+      return wrap(prefix, "[", "]", withRest(entries, hidden), depth);
+    }
+
+    if (ArrayBuffer.isView(current) && !(current instanceof DataView)) {
+      const items = limit([...current]).map((item) =>
+        inspectPrimitive(item, options)
+      );
+      const prefix = `${current.constructor.name}(${current.length}) `;
+      const hidden = current.length - items.length;
+      return wrap(prefix, "[", "]", withRest(items, hidden), depth);
+    }
+
+    if (current instanceof ArrayBuffer) {
+      const bytes = limit([...new Uint8Array(current)]).map((byte) =>
+        byte.toString(16).padStart(2, "0")
+      );
+      const contents = withRest(bytes, current.byteLength - bytes.length);
+      return wrap(
+        "ArrayBuffer ",
+        "{",
+        "}",
+        [
+          `[Uint8Contents]: <${contents.join(" ")}>`,
+          `byteLength: ${current.byteLength}`,
+        ],
+        depth
+      );
+    }
+
+    if (current instanceof Map) {
+      const entries = limit([...current]).map(
+        ([key, item], i) =>
+          `${walkChild(key, `key${i}`)} => ${walkChild(item, i)}`
+      );
+      const prefix = `${current.constructor.name}(${current.size}) `;
+      const hidden = current.size - entries.length;
+      return wrap(prefix, "{", "}", withRest(entries, hidden), depth);
+    }
+
+    if (current instanceof Set) {
+      const entries = limit([...current]).map((item, i) => walkChild(item, i));
+      const prefix = `${current.constructor.name}(${current.size}) `;
+      const hidden = current.size - entries.length;
+      return wrap(prefix, "{", "}", withRest(entries, hidden), depth);
+    }
+
+    if (current instanceof WeakMap || current instanceof WeakSet) {
+      return `${current.constructor.name} { <items unknown> }`;
+    }
+
+    const prefix = className(current, "Object");
+    return wrap(prefix, "{", "}", properties(current, walkChild), depth);
+  };
+
+  return walk(
+    value,
+    (current, context) => {
+      const output = render(current, context);
+      const ref = refs.get(current);
+      return ref ? `<ref *${ref}> ${output}` : output;
+    },
+    {
+      maxDepth: options.depth,
+      onCircular: (target) => {
+        if (!refs.has(target)) refs.set(target, refs.size + 1);
+        return `[Circular *${refs.get(target)}]`;
+      },
+      onMaxDepth: (current) => {
+        if (isPrimitive(current)) return inspectPrimitive(current, options);
+        if (typeof current === "function") return functionLabel(current);
+        if (current instanceof Date || current instanceof RegExp) {
+          return render(current, {});
+        }
+        if (Array.isArray(current)) return "[Array]";
+        const name = Object.getPrototypeOf(current)?.constructor?.name;
+        return `[${name || "Object"}]`;
+      },
+    }
+  );
+}
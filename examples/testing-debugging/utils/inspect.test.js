@@ -0,0 +1,70 @@
+/**
+ * 객체 인스펙터 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ */
+
+import util from "node:util";
+import { inspect } from "./inspect.js";
+
+export default function (test) {
+  test.describe("inspect", function () {
+    this.it("should match util.inspect for plain values", function () {
+      const values = [
+        { a: 1, b: "two", c: [true, null, undefined] },
+        [1, , 3],
+        new Map([["key", { nested: [1, 2] }]]),
+        new Set(["a", "b"]),
+        new Uint8Array([1, 2, 3]),
+        { "needs quotes": 1, [Symbol("s")]: 2n },
+        -0,
+      ];
+      values.forEach((value) => {
+        this.expect(inspect(value)).toBe(util.inspect(value));
+      });
+    });
+
+    this.it("should number circular references", function () {
+      const a = { name: "a" };
+      const b = { name: "b", a };
+      a.b = b;
+      a.self = a;
+      this.expect(inspect(a)).toBe(
+        "<ref *1> { name: 'a', b: { name: 'b', a: [Circular *1] }, self: [Circular *1] }"
+      );
+    });
+
+    this.it("should collapse objects beyond depth", function () {
+      class Node {
+        constructor(child) {
+          this.child = child;
+        }
+      }
+      const deep = new Node(new Node(new Node([1])));
+      this.expect(inspect(deep, { depth: 1 })).toBe(
+        "Node { child: Node { child: [Node] } }"
+      );
+    });
+
+    this.it("should show getters only when asked", function () {
+      const user = {
+        first: "Ada",
+        get upper() {
+          return this.first.toUpperCase();
+        },
+      };
+      this.expect(inspect(user)).toBe("{ first: 'Ada', upper: [Getter] }");
+      this.expect(inspect(user, { getters: true })).toBe(
+        "{ first: 'Ada', upper: [Getter: 'ADA'] }"
+      );
+    });
+
+    this.it("should cut long strings and arrays", function () {
+      this.expect(inspect("abcdef", { maxStringLength: 3 })).toBe(
+        "'abc'... 3 more characters"
+      );
+      this.expect(inspect([1, 2, 3, 4], { maxArrayLength: 2 })).toBe(
+        "[ 1, 2, ... 2 more items ]"
+      );
+    });
+  });
+}
@@ -0,0 +1,366 @@
+/**
+ * SimpleTest 매처 라이브러리
+ * 구조적 깊은 비교(deepEqual)와 expect()에서 쓰는 매처들을 제공합니다.
+ */
+
+import { diff, format } from "./diff.js";
+import { deepEqual } from "./equality.js";
+import { parsePath } from "./walk.js";
+
+// 매처 실패 시 던지는 에러 (diff 출력을 위해 기대값/실제값을 함께 보관)
+export class AssertionError extends Error {
+  constructor(message, { matcherName, actual, expected } = {}) {
+    super(message);
+    this.name = "AssertionError";
+    this.matcherName = matcherName;
+    this.actual = actual;
+    this.expected = expected;
+  }
+}
+
+function matchesThrown(error, expected) {
+  if (expected === undefined) return true;
+  const message = error instanceof Error ? error.message : String(error);
+  if (typeof expected === "string") return message.includes(expected);
+  if (expected instanceof RegExp) return expected.test(message);
+  if (typeof expected === "function") return error instanceof expected;
+  if (expected instanceof Error) return message === expected.message;
+  return false;
+}
+
+function describeThrowExpectation(expected) {
+  if (expected === undefined) return "to throw";
+  if (typeof expected === "function") return `to throw ${expected.name}`;
+  if (expected instanceof Error) return `to throw ${format(expected.message)}`;
+  return `to throw an error matching ${format(expected)}`;
+}
+
+const not = (context) => (context.isNot ? "not " : "");
+
+// 객체끼리 비교가 실패하면 한 줄 대신 줄 단위 diff를 보여줌
+function equalityMessage(context, received, expected, verb, options) {
+  const isObject = (value) => value !== null && typeof value === "object";
+  if (context.isNot || !isObject(received) || !isObject(expected)) {
+    return `Expected ${format(received)} ${not(context)}to ${verb} ${format(
+      expected
+    )}`;
+  }
+  return `Expected values to ${verb}:\n\n${diff(expected, received, options)}`;
+}
+
+/**
+ * 내장 매처
+ * 매처는 (received, ...args)를 받아 { pass, message }를 반환합니다.
+ * this에는 isNot, promise("resolves" | "rejects" | null), equals, format이 들어 있습니다.
+ */
+export const builtinMatchers = {
+  toBe(received, expected) {
+    return {
+      pass: Object.is(received, expected),
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to be ${format(expected)}`,
+      expected,
+    };
+  },
+
+  toEqual(received, expected) {
+    return {
+      pass: this.equals(received, expected),
+      message: () => equalityMessage(this, received, expected, "equal"),
+      expected,
+    };
+  },
+
+  toStrictEqual(received, expected) {
+    return {
+      pass: this.equals(received, expected, { strict: true }),
+      message: () =>
+        equalityMessage(this, received, expected, "strictly equal", {
+          strict: true,
+        }),
+      expected,
+    };
+  },
+
+  toBeTruthy(received) {
+    return {
+      pass: Boolean(received),
+      message: () => `Expected ${format(received)} ${not(this)}to be truthy`,
+    };
+  },
+
+  toBeFalsy(received) {
+    return {
+      pass: !received,
+      message: () => `Expected ${format(received)} ${not(this)}to be falsy`,
+    };
+  },
+
+  toBeNull(received) {
+    return {
+      pass: received === null,
+      message: () => `Expected ${format(received)} ${not(this)}to be null`,
+    };
+  },
+
+  toBeUndefined(received) {
+    return {
+      pass: received === undefined,
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to be undefined`,
+    };
+  },
+
+  toBeDefined(received) {
+    return {
+      pass: received !== undefined,
+      message: () => `Expected ${format(received)} ${not(this)}to be defined`,
+    };
+  },
+
+  toBeGreaterThan(received, expected) {
+    return {
+      pass: received > expected,
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to be > ${format(expected)}`,
+    };
+  },
+
+  toBeGreaterThanOrEqual(received, expected) {
+    return {
+      pass: received >= expected,
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to be >= ${format(expected)}`,
+    };
+  },
+
+  toBeLessThan(received, expected) {
+    return {
+      pass: received < expected,
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to be < ${format(expected)}`,
+    };
+  },
+
+  toBeLessThanOrEqual(received, expected) {
+    return {
+      pass: received <= expected,
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to be <= ${format(expected)}`,
+    };
+  },
+
+  // 부동소수점 비교: |received - expected| < 10^-numDigits / 2
+  toBeCloseTo(received, expected, numDigits = 2) {
+    const diff = Math.abs(received - expected);
+    return {
+      pass: diff < Math.pow(10, -numDigits) / 2,
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to be close to ${format(
+          expected
+        )} (${numDigits} digits, diff ${diff})`,
+    };
+  },
+
+  toBeInstanceOf(received, expectedClass) {
+    const actualName = received?.constructor?.name ?? typeof received;
+    return {
+      pass: received instanceof expectedClass,
+      message: () =>
+        `Expected ${actualName} instance ${not(this)}to be an instance of ${
+          expectedClass.name
+        }`,
+    };
+  },
+
+  toHaveLength(received, length) {
+    return {
+      pass: received != null && received.length === length,
+      message: () =>
+        `Expected length ${received?.length} ${not(this)}to be ${length}`,
+    };
+  },
+
+  // 문자열은 부분 문자열, 그 외 iterable은 === 로 포함 여부 확인
+  toContain(received, item) {
+    const pass =
+      typeof received === "string"
+        ? received.includes(item)
+        : [...received].some((value) => Object.is(value, item));
+    return {
+      pass,
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to contain ${format(item)}`,
+    };
+  },
+
+  toContainEqual(received, item) {
+    return {
+      pass: [...received].some((value) => this.equals(value, item)),
+      message: () =>
+        `Expected ${format(received)} ${not(
+          this
+        )}to contain an item equal to ${format(item)}`,
+    };
+  },
+
+  toMatch(received, pattern) {
+    const pass =
+      typeof received === "string" &&
+      (pattern instanceof RegExp
+        ? pattern.test(received)
+        : received.includes(pattern));
+    return {
+      pass,
+      message: () =>
+        `Expected ${format(received)} ${not(this)}to match ${format(pattern)}`,
+    };
+  },
+
+  // toHaveProperty("users[1].meta.active", false)
+  toHaveProperty(received, path, ...value) {
+    const keys = parsePath(path);
+    let current = received;
+    let found = true;
+    for (const key of keys) {
+      if (current == null || !(key in Object(current))) {
+        found = false;
+        break;
+      }
+      current = current[key];
+    }
+
+    const checkValue = value.length > 0;
+    const pass = found && (!checkValue || this.equals(current, value[0]));
+    return {
+      pass,
+      message: () => {
+        const target = checkValue
+          ? `property "${keys.join(".")}" equal to ${format(value[0])}`
+          : `property "${keys.join(".")}"`;
+        const actual = found ? `it was ${format(current)}` : "it was missing";
+        return `Expected ${format(received)} ${not(
+          this
+        )}to have ${target}, but ${actual}`;
+      },
+      expected: checkValue ? value[0] : undefined,
+    };
+  },
+
+  // expect(fn).toThrow(...) 또는 expect(promise).rejects.toThrow(...)
+  toThrow(received, expected) {
+    let thrown = null;
+    if (this.promise === "rejects") {
+      thrown = { error: received };
+    } else if (typeof received === "function") {
+      try {
+        received();
+      } catch (error) {
+        thrown = { error };
+      }
+    } else {
+      throw new TypeError("toThrow()에는 함수를 전달해야 합니다");
+    }
+
+    const pass = thrown !== null && matchesThrown(thrown.error, expected);
+    return {
+      pass,
+      message: () => {
+        const outcome = thrown
+          ? `it threw ${format(thrown.error)}`
+          : "it did not throw";
+        return `Expected function ${not(this)}${describeThrowExpectation(
+          expected
+        )}, but ${outcome}`;
+      },
+    };
+  },
+};
+
+/**
+ * expect(actual)가 돌려줄 객체 생성
+ * matchers의 각 매처가 메서드가 되며 .not, .resolves, .rejects 변형을 함께 제공합니다.
+ * extraContext는 매처의 this에 합쳐집니다 (예: 스냅샷 상태, 현재 테스트 이름).
+ */
+export function createExpectation(actual, matchers, extraContext = {}) {
+  const build = (isNot, promise) => {
+    const expectation = {};
+    Object.entries(matchers).forEach(([name, matcher]) => {
+      expectation[name] = (...args) => {
+        const context = {
+          ...extraContext,
+          isNot,
+          promise,
+          equals: deepEqual,
+          format,
+        };
+        if (!promise) {
+          return assert(matcher, name, context, actual, args);
+        }
+        return unwrap(actual, promise).then((value) =>
+          assert(matcher, name, context, value, args)
+        );
+      };
+    });
+    return expectation;
+  };
+
+  const expectation = build(false, null);
+  expectation.not = build(true, null);
+  expectation.resolves = build(false, "resolves");
+  expectation.resolves.not = build(true, "resolves");
+  expectation.rejects = build(false, "rejects");
+  expectation.rejects.not = build(true, "rejects");
+  return expectation;
+}
+
+// 매처가 Promise를 반환하면(비동기 커스텀 매처) 결과를 기다렸다가 검사
+function assert(matcher, matcherName, context, actual, args) {
+  const result = matcher.call(context, actual, ...args);
+  if (typeof result?.then === "function") {
+    return result.then((settled) =>
+      check(settled, matcherName, context, actual)
+    );
+  }
+  return check(result, matcherName, context, actual);
+}
+
+function check(result, matcherName, context, actual) {
+  if (typeof result?.pass !== "boolean") {
+    throw new TypeError(
+      `매처 "${matcherName}"는 { pass: boolean, message }를 반환해야 합니다 ` +
+        `(받은 pass: ${format(result?.pass)})`
+    );
+  }
+  if (result.pass === context.isNot) {
+    const message =
+      typeof result.message === "function" ? result.message() : result.message;
+    throw new AssertionError(message, {
+      matcherName,
+      actual,
+      expected: result.expected,
+    });
+  }
+}
+
+// resolves/rejects: Promise를 풀어서 매처에 넘길 값을 얻음
+async function unwrap(promise, mode) {
+  let settled;
+  try {
+    settled = { status: "resolves", value: await promise };
+  } catch (error) {
+    settled = { status: "rejects", value: error };
+  }
+
+  if (settled.status !== mode) {
+    const actual =
+      settled.status === "resolves" ? "resolved with" : "rejected with";
+    throw new AssertionError(
+      `Expected promise to ${mode.slice(0, -1)}, but it ${actual} ${format(
+        settled.value
+      )}`,
+      { matcherName: mode, actual: settled.value }
+    );
+  }
+  return settled.value;
+}
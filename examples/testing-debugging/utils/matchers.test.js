@@ -0,0 +1,171 @@
+/**
+ * 매처 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ * 매처는 createExpectation으로 직접 만들어서 실패 메시지를 확인합니다.
+ */
+
+import {
+  AssertionError,
+  builtinMatchers,
+  createExpectation,
+} from "./matchers.js";
+
+const expect = (actual) => createExpectation(actual, builtinMatchers);
+const stripAnsi = (text) => text.replace(/\x1b\[[\d;]*m/g, "");
+
+// 동기/비동기 단언이 실패하며 던진 AssertionError
+async function failure(assertion) {
+  try {
+    await assertion();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("단언이 실패하지 않았습니다");
+}
+
+export default function (test) {
+  test.describe("builtin matcher messages", function () {
+    this.it("should describe toBe and .not failures", async function () {
+      const error = await failure(() => expect(1).toBe(2));
+      this.expect(error).toBeInstanceOf(AssertionError);
+      this.expect(error.message).toBe("Expected 1 to be 2");
+      this.expect(error.matcherName).toBe("toBe");
+
+      const negated = await failure(() => expect("a").not.toBe("a"));
+      this.expect(negated.message).toBe('Expected "a" not to be "a"');
+    });
+
+    this.it("should diff objects with paths", async function () {
+      const error = await failure(() =>
+        expect({ user: { name: "Kim", age: 30 } }).toEqual({
+          user: { name: "Kim", age: 31 },
+        })
+      );
+
+      this.expect(stripAnsi(error.message)).toBe(
+        [
+          "Expected values to equal:",
+          "",
+          "- Expected",
+          "+ Received",
+          "",
+          "  {",
+          "    user: {",
+          '      name: "Kim",',
+          "-     age: 31,",
+          "+     age: 30,",
+          "    },",
+          "  }",
+          "",
+          "Mismatched paths:",
+          "  user.age",
+        ].join("\n")
+      );
+    });
+
+    this.it("should tell what was thrown for toThrow", async function () {
+      const thrower = () => {
+        throw new TypeError("잘못된 타입");
+      };
+
+      expect(thrower).toThrow(TypeError);
+      expect(thrower).toThrow("타입");
+      expect(thrower).toThrow(/^잘못된/);
+
+      const wrongClass = await failure(() =>
+        expect(thrower).toThrow(RangeError)
+      );
+      this.expect(wrongClass.message).toBe(
+        "Expected function to throw RangeError, but it threw [TypeError: 잘못된 타입]"
+      );
+      const notThrown = await failure(() => expect(() => {}).toThrow());
+      this.expect(notThrown.message).toBe(
+        "Expected function to throw, but it did not throw"
+      );
+    });
+
+    this.it("should explain toHaveProperty misses", async function () {
+      const data = { users: [{ meta: { active: true } }] };
+      expect(data).toHaveProperty("users[0].meta.active", true);
+
+      const error = await failure(() =>
+        expect(data).toHaveProperty("users[0].meta.role")
+      );
+      this.expect(error.message).toMatch(
+        /to have property "users\.0\.meta\.role", but it was missing$/
+      );
+    });
+  });
+
+  test.describe("resolves and rejects", function () {
+    this.it("should unwrap the settled value", async function () {
+      await expect(Promise.resolve(5)).resolves.toBe(5);
+      await expect(Promise.reject(new Error("실패"))).rejects.toThrow("실패");
+    });
+
+    this.it("should fail on the wrong outcome", async function () {
+      const error = await failure(() =>
+        expect(Promise.resolve(1)).rejects.toThrow()
+      );
+      this.expect(error.message).toBe(
+        "Expected promise to reject, but it resolved with 1"
+      );
+    });
+  });
+
+  test.describe("custom matchers", function () {
+    const matchers = {
+      ...builtinMatchers,
+      toBeEven(received) {
+        return {
+          pass: received % 2 === 0,
+          message: () =>
+            `Expected ${received} ${this.isNot ? "not " : ""}to be even`,
+        };
+      },
+      async toResolveTo(received, expected) {
+        const value = await received();
+        return { pass: value === expected, message: `got ${value}` };
+      },
+      toBeBroken() {
+        return { pass: "yes" };
+      },
+    };
+    const custom = (actual) => createExpectation(actual, matchers);
+
+    this.it("should pass isNot to the matcher", async function () {
+      custom(2).toBeEven();
+      const error = await failure(() => custom(2).not.toBeEven());
+      this.expect(error.message).toBe("Expected 2 not to be even");
+    });
+
+    this.it("should return a promise from async matchers", async function () {
+      await custom(async () => 3).toResolveTo(3);
+      const error = await failure(() => custom(async () => 4).toResolveTo(3));
+      this.expect(error.message).toBe("got 4");
+    });
+
+    this.it("should reject results without a boolean pass", function () {
+      this.expect(() => custom(1).toBeBroken()).toThrow(
+        '매처 "toBeBroken"는 { pass: boolean, message }를 반환해야 합니다'
+      );
+    });
+  });
+
+  test.describe("test.extend", function () {
+    this.it("should add matchers to this.expect", function () {
+      test.extend({
+        toBeWithin(received, low, high) {
+          return {
+            pass: received >= low && received <= high,
+            message: () => `Expected ${received} to be within ${low}..${high}`,
+          };
+        },
+      });
+      this.expect(5).toBeWithin(1, 10);
+      this.expect(() => this.expect(11).toBeWithin(1, 10)).toThrow(
+        "Expected 11 to be within 1..10"
+      );
+    });
+  });
+}
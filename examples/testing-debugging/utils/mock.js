@@ -0,0 +1,239 @@
+/**
+ * 목(mock) 함수와 스파이
+ * 호출 기록(인자, this, 반환값)을 남기는 fn()과 기존 메서드를 감싸는 spyOn()을 제공합니다.
+ */
+
+import { format } from "./diff.js";
+
+export function isMockFunction(value) {
+  return typeof value === "function" && value._isMockFunction === true;
+}
+
+/**
+ * 목 함수 생성
+ * mock.calls / mock.contexts / mock.results에 호출 기록이 쌓입니다.
+ */
+export function fn(implementation) {
+  let defaultImplementation = implementation;
+  let onceImplementations = [];
+  let name = "mock";
+
+  function mock(...args) {
+    mock.mock.calls.push(args);
+    mock.mock.contexts.push(this);
+
+    const next = onceImplementations.length
+      ? onceImplementations.shift()
+      : defaultImplementation;
+
+    try {
+      const value = next ? next.apply(this, args) : undefined;
+      mock.mock.results.push({ type: "return", value });
+      return value;
+    } catch (error) {
+      mock.mock.results.push({ type: "throw", value: error });
+      throw error;
+    }
+  }
+
+  const createState = () => ({
+    calls: [],
+    contexts: [],
+    results: [],
+    get lastCall() {
+      return this.calls[this.calls.length - 1];
+    },
+  });
+
+  mock._isMockFunction = true;
+  mock.mock = createState();
+
+  mock.mockName = (value) => {
+    name = value;
+    return mock;
+  };
+  mock.getMockName = () => name;
+  mock.getMockImplementation = () => defaultImplementation;
+
+  mock.mockImplementation = (impl) => {
+    defaultImplementation = impl;
+    return mock;
+  };
+  mock.mockImplementationOnce = (impl) => {
+    onceImplementations.push(impl);
+    return mock;
+  };
+
+  mock.mockReturnValue = (value) => mock.mockImplementation(() => value);
+  mock.mockReturnValueOnce = (value) =>
+    mock.mockImplementationOnce(() => value);
+  mock.mockResolvedValue = (value) =>
+    mock.mockImplementation(() => Promise.resolve(value));
+  mock.mockResolvedValueOnce = (value) =>
+    mock.mockImplementationOnce(() => Promise.resolve(value));
+  mock.mockRejectedValue = (error) =>
+    mock.mockImplementation(() => Promise.reject(error));
+  mock.mockRejectedValueOnce = (error) =>
+    mock.mockImplementationOnce(() => Promise.reject(error));
+
+  // 호출 기록만 지움
+  mock.mockClear = () => {
+    mock.mock = createState();
+    return mock;
+  };
+
+  // 호출 기록과 구현을 모두 처음 상태로 되돌림
+  mock.mockReset = () => {
+    mock.mockClear();
+    defaultImplementation = implementation;
+    onceImplementations = [];
+    return mock;
+  };
+
+  // fn()으로 만든 목은 복원할 원본이 없으므로 reset과 같음 (spyOn에서 재정의)
+  mock.mockRestore = () => mock.mockReset();
+
+  return mock;
+}
+
+/**
+ * obj[methodName]을 원본을 그대로 호출하는 목으로 교체
+ * mockRestore()를 호출하면 원래 프로퍼티 디스크립터를 되돌립니다.
+ */
+export function spyOn(obj, methodName) {
+  const original = obj[methodName];
+  if (typeof original !== "function") {
+    throw new TypeError(`${String(methodName)}은(는) 함수가 아닙니다`);
+  }
+
+  const ownDescriptor = Object.getOwnPropertyDescriptor(obj, methodName);
+  const spy = fn(function (...args) {
+    return original.apply(this, args);
+  }).mockName(String(methodName));
+
+  let restored = false;
+  spy.mockRestore = () => {
+    if (restored) return;
+    restored = true;
+    spy.mockReset();
+    if (ownDescriptor) {
+      Object.defineProperty(obj, methodName, ownDescriptor);
+    } else {
+      delete obj[methodName]; // 프로토타입에서 상속받은 메서드였던 경우
+    }
+  };
+
+  Object.defineProperty(obj, methodName, {
+    value: spy,
+    writable: true,
+    configurable: true,
+    enumerable: ownDescriptor ? ownDescriptor.enumerable : false,
+  });
+  return spy;
+}
+
+function ensureMock(received, matcherName) {
+  if (!isMockFunction(received)) {
+    throw new TypeError(
+      `${matcherName}()에는 목 함수를 전달해야 합니다 (받은 값: ${format(
+        received
+      )})`
+    );
+  }
+}
+
+function formatCalls(calls) {
+  if (calls.length === 0) return "no calls";
+  return calls
+    .map((args, i) => `#${i + 1}(${args.map((arg) => format(arg)).join(", ")})`)
+    .join(", ");
+}
+
+const not = (context) => (context.isNot ? "not " : "");
+
+// SimpleTest.expect에 합쳐지는 목 전용 매처
+export const mockMatchers = {
+  toHaveBeenCalled(received) {
+    ensureMock(received, "toHaveBeenCalled");
+    const { calls } = received.mock;
+    return {
+      pass: calls.length > 0,
+      message: () =>
+        `Expected ${received.getMockName()} ${not(
+          this
+        )}to have been called, but got ${formatCalls(calls)}`,
+    };
+  },
+
+  toHaveBeenCalledTimes(received, times) {
+    ensureMock(received, "toHaveBeenCalledTimes");
+    const { calls } = received.mock;
+    return {
+      pass: calls.length === times,
+      message: () =>
+        `Expected ${received.getMockName()} ${not(
+          this
+        )}to have been called ${times} times, but it was called ${
+          calls.length
+        } times`,
+    };
+  },
+
+  toHaveBeenCalledWith(received, ...expected) {
+    ensureMock(received, "toHaveBeenCalledWith");
+    const { calls } = received.mock;
+    return {
+      pass: calls.some((args) => this.equals(args, expected)),
+      message: () =>
+        `Expected ${received.getMockName()} ${not(
+          this
+        )}to have been called with (${expected
+          .map((arg) => format(arg))
+          .join(", ")}), but got ${formatCalls(calls)}`,
+    };
+  },
+
+  toHaveBeenLastCalledWith(received, ...expected) {
+    ensureMock(received, "toHaveBeenLastCalledWith");
+    const { lastCall } = received.mock;
+    return {
+      pass: lastCall !== undefined && this.equals(lastCall, expected),
+      message: () =>
+        `Expected last call of ${received.getMockName()} ${not(
+          this
+        )}to be (${expected.map((arg) => format(arg)).join(", ")}), but got ${
+          lastCall ? formatCalls([lastCall]) : "no calls"
+        }`,
+    };
+  },
+
+  toHaveBeenNthCalledWith(received, nth, ...expected) {
+    ensureMock(received, "toHaveBeenNthCalledWith");
+    const call = received.mock.calls[nth - 1];
+    return {
+      pass: call !== undefined && this.equals(call, expected),
+      message: () =>
+        `Expected call #${nth} of ${received.getMockName()} ${not(
+          this
+        )}to be (${expected.map((arg) => format(arg)).join(", ")}), but got ${
+          call ? formatCalls([call]) : "no such call"
+        }`,
+    };
+  },
+
+  toHaveReturnedWith(received, expected) {
+    ensureMock(received, "toHaveReturnedWith");
+    const returned = received.mock.results
+      .filter(({ type }) => type === "return")
+      .map(({ value }) => value);
+    return {
+      pass: returned.some((value) => this.equals(value, expected)),
+      message: () =>
+        `Expected ${received.getMockName()} ${not(
+          this
+        )}to have returned ${format(expected)}, but it returned ${format(
+          returned
+        )}`,
+    };
+  },
+};
@@ -0,0 +1,143 @@
+/**
+ * 목 함수와 스파이 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ */
+
+import { fn, isMockFunction, spyOn } from "./mock.js";
+
+export default function (test) {
+  test.describe("fn", function () {
+    this.it("should record calls, contexts and results", function () {
+      const mock = fn((a, b) => {
+        if (b === 0) throw new RangeError("0으로 나눔");
+        return a / b;
+      });
+      const owner = { divide: mock };
+
+      owner.divide(6, 3);
+      this.expect(() => owner.divide(1, 0)).toThrow(RangeError);
+
+      this.expect(isMockFunction(mock)).toBe(true);
+      this.expect(mock.mock.calls).toEqual([
+        [6, 3],
+        [1, 0],
+      ]);
+      this.expect(mock.mock.contexts[0]).toBe(owner);
+      this.expect(mock.mock.results.map(({ type }) => type)).toEqual([
+        "return",
+        "throw",
+      ]);
+      this.expect(mock.mock.lastCall).toEqual([1, 0]);
+    });
+
+    this.it("should use once implementations before the default", function () {
+      const mock = fn(() => "default")
+        .mockReturnValueOnce("first")
+        .mockImplementationOnce(() => "second");
+
+      this.expect([mock(), mock(), mock()]).toEqual([
+        "first",
+        "second",
+        "default",
+      ]);
+    });
+
+    this.it("should resolve and reject with values", async function () {
+      const mock = fn()
+        .mockResolvedValueOnce(1)
+        .mockRejectedValueOnce(new Error("실패"));
+
+      await this.expect(mock()).resolves.toBe(1);
+      await this.expect(mock()).rejects.toThrow("실패");
+      this.expect(mock()).toBeUndefined();
+    });
+
+    this.it("should clear calls or reset everything", function () {
+      const mock = fn(() => 1).mockReturnValue(2);
+      mock();
+
+      mock.mockClear();
+      this.expect(mock.mock.calls).toHaveLength(0);
+      this.expect(mock()).toBe(2);
+
+      mock.mockReset();
+      this.expect(mock.mock.calls).toHaveLength(0);
+      this.expect(mock()).toBe(1);
+    });
+  });
+
+  test.describe("spyOn", function () {
+    this.it("should call through and restore own methods", function () {
+      const counter = {
+        count: 0,
+        increment(by) {
+          this.count += by;
+          return this.count;
+        },
+      };
+      const original = counter.increment;
+
+      const spy = spyOn(counter, "increment");
+      this.expect(counter.increment(2)).toBe(2);
+      this.expect(spy).toHaveBeenCalledWith(2);
+      this.expect(Object.keys(counter)).toContain("increment");
+
+      spy.mockRestore();
+      this.expect(counter.increment).toBe(original);
+      this.expect(isMockFunction(counter.increment)).toBe(false);
+    });
+
+    this.it("should remove spies on inherited methods", function () {
+      class Greeter {
+        greet() {
+          return "hello";
+        }
+      }
+      const greeter = new Greeter();
+
+      spyOn(greeter, "greet").mockReturnValue("mocked");
+      this.expect(greeter.greet()).toBe("mocked");
+      this.expect(Object.keys(greeter)).toEqual([]);
+
+      greeter.greet.mockRestore();
+      this.expect(Object.hasOwn(greeter, "greet")).toBe(false);
+      this.expect(greeter.greet()).toBe("hello");
+    });
+
+    this.it("should refuse non-function properties", function () {
+      this.expect(() => spyOn({ value: 1 }, "value")).toThrow(TypeError);
+    });
+
+    this.it("should restore every spy with restoreAllMocks", function () {
+      const math = { max: Math.max, min: Math.min };
+      this.spyOn(math, "max");
+      this.spyOn(math, "min").mockReturnValue(-1);
+      this.expect(math.min(1, 2)).toBe(-1);
+
+      this.restoreAllMocks();
+      this.expect(math.max).toBe(Math.max);
+      this.expect(math.min).toBe(Math.min);
+    });
+  });
+
+  test.describe("mock matchers", function () {
+    this.it("should list the calls a mock received", function () {
+      const mock = fn().mockName("save");
+      mock("a", 1);
+      mock({ id: 2 });
+
+      this.expect(() => this.expect(mock).toHaveBeenCalledWith("b")).toThrow(
+        'Expected save to have been called with ("b"), ' +
+          'but got #1("a", 1), #2({id: 2})'
+      );
+      this.expect(mock).toHaveBeenNthCalledWith(2, { id: 2 });
+      this.expect(mock).toHaveBeenLastCalledWith({ id: 2 });
+    });
+
+    this.it("should reject values that are not mocks", function () {
+      this.expect(() => this.expect(() => {}).toHaveBeenCalled()).toThrow(
+        "toHaveBeenCalled()에는 목 함수를 전달해야 합니다"
+      );
+    });
+  });
+}
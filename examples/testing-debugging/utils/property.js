@@ -0,0 +1,355 @@
+/**
+ * 속성 기반 테스트 (property-based testing)
+ * 무작위로 만든 입력 수백 개로 "항상 성립해야 하는 성질"을 검사하고,
+ * 실패하면 입력을 줄여 가며 가장 작은 반례를 찾아 보여줍니다.
+ *
+ *   property([gen.array(gen.int()), gen.int({ min: 1, max: 5 })], (arr, size) =>
+ *     [...chunkArray(arr, size)].flat().length === arr.length
+ *   );
+ *
+ * 같은 seed를 주면 같은 입력이 같은 순서로 만들어지므로 실패를 그대로 재현할 수 있습니다.
+ */
+
+import { format } from "./diff.js";
+import { AssertionError } from "./matchers.js";
+
+const MAX_SIZE = 100;
+
+// mulberry32: 작고 빠른 32비트 시드 난수 생성기
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    seed,
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+  };
+}
+
+/**
+ * 임의값 생성기 (arbitrary)
+ * - generate(random, size): 값 생성 (size는 실행이 진행될수록 1 → 100으로 커짐)
+ * - shrink(value): 더 작은 후보값을 앞에서부터 차례로 내보내는 이터러블
+ * - contains(value): 이 생성기가 만들 수 있는 값인지 (oneOf의 축소에 사용)
+ */
+function arbitrary({ generate, shrink = function* () {}, contains }) {
+  return { generate, shrink, contains };
+}
+
+// value를 target 쪽으로 절반씩 좁혀 가는 후보
+function* shrinkInteger(value, target) {
+  if (value === target) return;
+  yield target;
+  let diff = Math.trunc((value - target) / 2);
+  while (diff !== 0) {
+    yield value - diff;
+    diff = Math.trunc(diff / 2);
+  }
+}
+
+// 원소를 덩어리째(절반, 1/4, ..., 하나씩) 지운 뒤 각 원소를 줄인 후보
+function* shrinkArray(values, item, minLength = 0) {
+  for (let size = values.length >> 1 || 1; size > 0; size >>= 1) {
+    if (values.length - size < minLength) continue;
+    for (let start = 0; start + size <= values.length; start += size) {
+      yield [...values.slice(0, start), ...values.slice(start + size)];
+    }
+  }
+  for (let i = 0; i < values.length; i++) {
+    for (const smaller of item.shrink(values[i])) {
+      yield [...values.slice(0, i), smaller, ...values.slice(i + 1)];
+    }
+  }
+}
+
+function int({ min, max } = {}) {
+  const low = min ?? Number.MIN_SAFE_INTEGER;
+  const high = max ?? Number.MAX_SAFE_INTEGER;
+  const target = Math.min(Math.max(0, low), high);
+
+  return arbitrary({
+    // 주지 않은 쪽 범위는 size에 따라 ±10*size까지 넓어짐
+    generate: (random, size) =>
+      random.int(
+        min ?? Math.min(-10 * size, high),
+        max ?? Math.max(10 * size, low)
+      ),
+    shrink: (value) => shrinkInteger(value, target),
+    contains: (value) =>
+      Number.isInteger(value) && value >= low && value <= high,
+  });
+}
+
+function boolean() {
+  return arbitrary({
+    generate: (random) => random.next() < 0.5,
+    shrink: function* (value) {
+      if (value) yield false;
+    },
+    contains: (value) => typeof value === "boolean",
+  });
+}
+
+// 주어진 값 중 하나 (앞쪽 값일수록 "작은" 값으로 보고 그쪽으로 축소)
+function constantFrom(...values) {
+  return arbitrary({
+    generate: (random) => values[random.int(0, values.length - 1)],
+    shrink: function* (value) {
+      yield* values.slice(0, values.indexOf(value));
+    },
+    contains: (value) => values.includes(value),
+  });
+}
+
+function array(item, { minLength = 0, maxLength = 20 } = {}) {
+  return arbitrary({
+    generate: (random, size) => {
+      const longest = Math.max(minLength, Math.min(maxLength, size));
+      const length = random.int(minLength, longest);
+      return Array.from({ length }, () => item.generate(random, size));
+    },
+    shrink: (values) => shrinkArray(values, item, minLength),
+    contains: (value) =>
+      Array.isArray(value) &&
+      value.length >= minLength &&
+      value.length <= maxLength &&
+      value.every(item.contains),
+  });
+}
+
+const DEFAULT_CHARS =
+  "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ";
+
+// 문자열은 문자 배열로 보고 축소 (문자는 chars의 첫 글자 쪽으로)
+function string({
+  minLength = 0,
+  maxLength = 20,
+  chars = DEFAULT_CHARS,
+} = {}) {
+  const characters = array(constantFrom(...chars), { minLength, maxLength });
+  return arbitrary({
+    generate: (random, size) => characters.generate(random, size).join(""),
+    shrink: function* (value) {
+      for (const smaller of characters.shrink([...value])) {
+        yield smaller.join("");
+      }
+    },
+    contains: (value) =>
+      typeof value === "string" && characters.contains([...value]),
+  });
+}
+
+// 위치마다 다른 생성기를 쓰는 고정 길이 배열
+function tuple(...items) {
+  return arbitrary({
+    generate: (random, size) =>
+      items.map((item) => item.generate(random, size)),
+    shrink: function* (values) {
+      for (let i = 0; i < items.length; i++) {
+        for (const smaller of items[i].shrink(values[i])) {
+          yield [...values.slice(0, i), smaller, ...values.slice(i + 1)];
+        }
+      }
+    },
+    contains: (value) =>
+      Array.isArray(value) &&
+      value.length === items.length &&
+      items.every((item, i) => item.contains(value[i])),
+  });
+}
+
+/**
+ * 객체
+ * shape를 주면 { 키: 생성기 } 모양대로, 생략하면 임의의 키와 값(숫자/문자열/불리언)을 가진 객체
+ */
+function object(shape) {
+  if (!shape) {
+    const key = string({ minLength: 1, maxLength: 8 });
+    const value = oneOf(int(), string(), boolean());
+    const entries = array(tuple(key, value), { maxLength: 8 });
+    return arbitrary({
+      generate: (random, size) =>
+        Object.fromEntries(entries.generate(random, size)),
+      shrink: function* (value) {
+        for (const smaller of entries.shrink(Object.entries(value))) {
+          yield Object.fromEntries(smaller);
+        }
+      },
+      contains: (value) =>
+        value !== null && typeof value === "object" && !Array.isArray(value),
+    });
+  }
+
+  const keys = Object.keys(shape);
+  const values = tuple(...keys.map((key) => shape[key]));
+  const toObject = (list) =>
+    Object.fromEntries(keys.map((key, i) => [key, list[i]]));
+  return arbitrary({
+    generate: (random, size) => toObject(values.generate(random, size)),
+    shrink: function* (value) {
+      for (const smaller of values.shrink(keys.map((key) => value[key]))) {
+        yield toObject(smaller);
+      }
+    },
+    contains: (value) =>
+      value !== null &&
+      typeof value === "object" &&
+      values.contains(keys.map((key) => value[key])),
+  });
+}
+
+// 여러 생성기 중 하나를 골라 생성 (값을 만들 수 있는 생성기의 규칙으로 축소)
+function oneOf(...options) {
+  return arbitrary({
+    generate: (random, size) =>
+      options[random.int(0, options.length - 1)].generate(random, size),
+    shrink: function* (value) {
+      const owner = options.find((option) => option.contains(value));
+      if (owner) yield* owner.shrink(value);
+    },
+    contains: (value) => options.some((option) => option.contains(value)),
+  });
+}
+
+export const gen = {
+  int,
+  nat: ({ max } = {}) => int({ min: 0, max }),
+  boolean,
+  constantFrom,
+  string,
+  array,
+  tuple,
+  object,
+  oneOf,
+};
+
+export class PropertyFailure extends AssertionError {
+  constructor({ runs, seed, original, counterexample, shrinks, error }) {
+    super(
+      [
+        `${runs}번째 실행에서 속성이 깨졌습니다 (seed: ${seed})`,
+        `반례: ${format(counterexample)}` +
+          (shrinks > 0 ? ` (${shrinks}번 축소)` : ""),
+        ...(shrinks > 0 ? [`축소 전 입력: ${format(original)}`] : []),
+        String(error?.message ?? error),
+      ].join("\n"),
+      { matcherName: "property", actual: counterexample }
+    );
+    this.name = "PropertyFailure";
+    this.seed = seed;
+    this.counterexample = counterexample;
+    this.cause = error;
+  }
+}
+
+/**
+ * 생성 → 실패하면 축소하는 탐색 순서 (동기/비동기 공용)
+ * 검사할 입력을 yield하고 실패 에러(통과하면 null)를 돌려받습니다.
+ */
+function* search(args, { numRuns, seed, maxShrinks }) {
+  const random = createRandom(seed);
+
+  for (let run = 1; run <= numRuns; run++) {
+    const size = Math.max(1, Math.round((run / numRuns) * MAX_SIZE));
+    const original = args.generate(random, size);
+    const error = yield original;
+    if (!error) continue;
+
+    let counterexample = original;
+    let lastError = error;
+    let shrinks = 0;
+    let improved = true;
+    while (improved && shrinks < maxShrinks) {
+      improved = false;
+      for (const candidate of args.shrink(counterexample)) {
+        const candidateError = yield candidate;
+        if (candidateError) {
+          counterexample = candidate;
+          lastError = candidateError;
+          shrinks++;
+          improved = true;
+          break;
+        }
+      }
+    }
+    return {
+      runs: run,
+      seed,
+      original,
+      counterexample,
+      shrinks,
+      error: lastError,
+    };
+  }
+  return null;
+}
+
+function toError(result) {
+  return result === false
+    ? new Error("predicate가 false를 반환했습니다")
+    : null;
+}
+
+/**
+ * 속성 검사
+ * generators가 배열이면 predicate(...값들), { 이름: 생성기 } 객체면 predicate(객체)로 호출합니다.
+ * predicate가 false를 반환하거나 예외를 던지면 실패로 보고 축소한 반례와 함께 PropertyFailure를 던집니다.
+ * predicate가 Promise를 반환하면 property도 Promise를 반환합니다.
+ *
+ * options: { numRuns = 100, seed, maxShrinks = 1000 }
+ */
+export function property(generators, predicate, options = {}) {
+  const settings = {
+    numRuns: 100,
+    seed: Math.floor(Math.random() * 2 ** 32),
+    maxShrinks: 1000,
+    ...options,
+  };
+  const spread = Array.isArray(generators);
+  const args = spread ? tuple(...generators) : object(generators);
+  const call = (value) => (spread ? predicate(...value) : predicate(value));
+
+  const steps = search(args, settings);
+  let step = steps.next();
+  while (!step.done) {
+    let error;
+    try {
+      const result = call(step.value);
+      // 비동기 predicate면 같은 탐색을 이어서 await하며 실행 (이미 실행한 입력은 다시 실행하지 않음)
+      if (result && typeof result.then === "function") {
+        return continueAsync(steps, result, call, settings);
+      }
+      error = toError(result);
+    } catch (thrown) {
+      error = thrown;
+    }
+    step = steps.next(error);
+  }
+  return outcome(step.value, settings);
+}
+
+async function continueAsync(steps, pending, call, settings) {
+  let result = pending;
+  for (;;) {
+    let error;
+    try {
+      error = toError(await result);
+    } catch (thrown) {
+      error = thrown;
+    }
+    const step = steps.next(error);
+    if (step.done) return outcome(step.value, settings);
+    result = new Promise((resolve) => resolve(call(step.value)));
+  }
+}
+
+function outcome(failure, settings) {
+  if (failure) throw new PropertyFailure(failure);
+  return { runs: settings.numRuns, seed: settings.seed };
+}
@@ -0,0 +1,113 @@
+/**
+ * 속성 기반 테스트 도구 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ */
+
+import { createRandom, gen, property, PropertyFailure } from "./property.js";
+
+// property가 던진 PropertyFailure (통과하면 null)
+function failureOf(run) {
+  try {
+    run();
+    return null;
+  } catch (error) {
+    if (error instanceof PropertyFailure) return error;
+    throw error;
+  }
+}
+
+export default function (test) {
+  test.describe("property shrinking", function () {
+    this.it("should shrink integers to the boundary", function () {
+      const failure = failureOf(() =>
+        property([gen.int({ min: 0, max: 10000 })], (n) => n < 37, { seed: 3 })
+      );
+      this.expect(failure.counterexample).toEqual([37]);
+      this.expect(failure.message.split("\n")).toEqual([
+        "1번째 실행에서 속성이 깨졌습니다 (seed: 3)",
+        "반례: [37] (10번 축소)",
+        "축소 전 입력: [7202]",
+        "predicate가 false를 반환했습니다",
+      ]);
+    });
+
+    this.it("should shrink arrays to the smallest failing one", function () {
+      const failure = failureOf(() =>
+        property(
+          [gen.array(gen.int({ min: -50, max: 50 }))],
+          (values) => !values.some((value) => value > 9),
+          { seed: 11 }
+        )
+      );
+      this.expect(failure.counterexample).toEqual([[10]]);
+    });
+
+    this.it("should shrink strings and objects by field", function () {
+      const failure = failureOf(() =>
+        property(
+          { name: gen.string({ chars: "ab" }), age: gen.nat({ max: 99 }) },
+          ({ name, age }) => !(name.includes("b") && age > 20),
+          { seed: 5 }
+        )
+      );
+      this.expect(failure.counterexample).toEqual({ name: "b", age: 21 });
+    });
+
+    this.it("should keep the error thrown by the predicate", function () {
+      const failure = failureOf(() =>
+        property(
+          [gen.nat({ max: 100 })],
+          (n) => {
+            if (n >= 50) throw new RangeError(`너무 큼: ${n}`);
+          },
+          { seed: 9 }
+        )
+      );
+      this.expect(failure.cause).toBeInstanceOf(RangeError);
+      this.expect(failure.cause.message).toBe("너무 큼: 50");
+      this.expect(failure.message).toContain("너무 큼: 50");
+    });
+  });
+
+  test.describe("property runs", function () {
+    this.it("should replay the same inputs for the same seed", function () {
+      const record = () => {
+        const inputs = [];
+        property([gen.array(gen.int())], (values) => inputs.push(values) > 0, {
+          seed: 123,
+          numRuns: 20,
+        });
+        return inputs;
+      };
+      this.expect(record()).toEqual(record());
+      this.expect(createRandom(1).next()).toBe(createRandom(1).next());
+    });
+
+    this.it("should only generate values within range", function () {
+      const generators = [
+        gen.int({ min: -3, max: 3 }),
+        gen.array(gen.boolean(), { minLength: 2, maxLength: 4 }),
+        gen.constantFrom("x", "y"),
+        gen.oneOf(gen.nat({ max: 5 }), gen.string({ maxLength: 3 })),
+      ];
+      const result = property(
+        generators,
+        (...values) =>
+          values.every((value, i) => generators[i].contains(value)),
+        { seed: 8 }
+      );
+      this.expect(result).toEqual({ runs: 100, seed: 8 });
+    });
+
+    this.it("should await async predicates and shrink them", async function () {
+      const error = await property(
+        [gen.int({ min: 0, max: 1000 })],
+        async (n) => n < 100,
+        { seed: 4 }
+      ).catch((reason) => reason);
+
+      this.expect(error).toBeInstanceOf(PropertyFailure);
+      this.expect(error.counterexample).toEqual([100]);
+    });
+  });
+}
@@ -0,0 +1,238 @@
+/**
+ * SimpleTest 리포터
+ * 리포터는 아래 메서드 중 필요한 것만 구현한 객체입니다.
+ * - onRunStart()
+ * - onSuiteStart({ name, path, depth })
+ * - onTestResult(result)
+ * - onRunComplete(summary)
+ *
+ * result: { name, fullName, suitePath, status, duration, error, file? }
+ *   file은 테스트 러너로 실행했을 때만 있음
+ *   status는 "passed" | "failed" | "skipped" | "todo", error는 { name, message, stack } | null
+ * summary: { passed, failed, skipped, todo, duration, snapshot, results }
+ *   snapshot은 { added, updated, matched, unmatched, obsolete, removed }
+ */
+
+import path from "node:path";
+
+const defaultWrite = (text) => console.log(text);
+
+// diff 메시지의 색상 코드(\x1b[...m)는 파일로 남기는 기계용 출력에서 제거
+const stripAnsi = (text) => String(text).replace(/\x1b\[[\d;]*m/g, "");
+
+// 사람이 읽는 이모지 출력 (기본 리포터)
+export class ConsoleReporter {
+  onSuiteStart({ name, depth }) {
+    console.log(`\n${"  ".repeat(depth - 1)}📝 ${name}`);
+  }
+
+  onTestResult({ name, suitePath, status, error }) {
+    const indent = "  ".repeat(Math.max(suitePath.length, 1));
+    if (status === "passed") {
+      console.log(`${indent}✅ ${name}`);
+    } else if (status === "failed") {
+      console.log(`${indent}❌ ${name}`);
+      error.message
+        .split("\n")
+        .forEach((line) => console.log(line && `${indent}   ${line}`));
+    } else if (status === "todo") {
+      console.log(`${indent}📌 todo: ${name}`);
+    } else {
+      console.log(`${indent}⏭️ ${name}`);
+    }
+  }
+
+  onRunComplete({ passed, failed, skipped, todo, snapshot, results }) {
+    const failures = results.filter(({ status }) => status === "failed");
+    if (failures.length > 0) {
+      console.log("\n💥 Failures:");
+      failures.forEach(({ fullName }) => console.log(`  ❌ ${fullName}`));
+    }
+    if (snapshot) this.printSnapshotSummary(snapshot);
+    console.log(
+      `\n📊 Test Results: ${passed} passed, ${failed} failed, ` +
+        `${skipped} skipped, ${todo} todo`
+    );
+  }
+
+  printSnapshotSummary(snapshot) {
+    const { matched, added, updated, unmatched, obsolete, removed } = snapshot;
+    const counts = [
+      [matched, "passed"],
+      [added, "written"],
+      [updated, "updated"],
+      [unmatched, "failed"],
+      [removed, "removed"],
+    ].filter(([count]) => count > 0);
+    if (counts.length > 0) {
+      const text = counts.map(([count, label]) => `${count} ${label}`);
+      console.log(`\n📸 Snapshots: ${text.join(", ")}`);
+    }
+
+    if (obsolete.length > removed) {
+      console.log(
+        `⚠️ ${obsolete.length}개의 스냅샷이 더 이상 쓰이지 않습니다 ` +
+          '(updateSnapshot: "all"로 실행하면 삭제)'
+      );
+      obsolete.forEach((key) => console.log(`  • ${key}`));
+    }
+  }
+}
+
+// 실행 결과 전체를 JSON 한 덩어리로 출력 (결과 보관/비교용)
+export class JsonReporter {
+  constructor({ write = defaultWrite } = {}) {
+    this.write = write;
+  }
+
+  onRunComplete(summary) {
+    const { results, ...totals } = summary;
+    const report = {
+      timestamp: new Date().toISOString(),
+      summary: totals,
+      results,
+    };
+    this.write(JSON.stringify(report, null, 2));
+  }
+}
+
+// TAP 13 형식 (https://testanything.org/tap-version-13-specification.html)
+export class TapReporter {
+  constructor({ write = defaultWrite } = {}) {
+    this.write = write;
+  }
+
+  onRunComplete({ results }) {
+    const lines = ["TAP version 13", `1..${results.length}`];
+
+    results.forEach((result, index) => {
+      const number = index + 1;
+      const title = result.fullName.replace(/#/g, "\\#");
+
+      if (result.status === "skipped") {
+        lines.push(`ok ${number} - ${title} # SKIP`);
+      } else if (result.status === "todo") {
+        lines.push(`not ok ${number} - ${title} # TODO`);
+      } else if (result.status === "passed") {
+        lines.push(`ok ${number} - ${title}`);
+      } else {
+        lines.push(`not ok ${number} - ${title}`);
+        lines.push(...tapDiagnostics(result));
+      }
+    });
+
+    this.write(lines.join("\n"));
+  }
+}
+
+// 실패 정보는 YAML 블록으로 덧붙임
+function tapDiagnostics({ error, duration }) {
+  const block = (text) => text.split("\n").map((line) => `    ${line}`);
+  return [
+    "  ---",
+    `  message: ${JSON.stringify(stripAnsi(error.message))}`,
+    `  name: ${JSON.stringify(error.name)}`,
+    `  duration_ms: ${duration.toFixed(3)}`,
+    "  stack: |-",
+    ...block(stripAnsi(error.stack || "")),
+    "  ...",
+  ];
+}
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const xmlAttributes = (attributes) =>
+  Object.entries(attributes)
+    .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+    .join(" ");
+
+// CI 도구들이 읽는 JUnit XML 형식 (스위트 경로별로 <testsuite> 생성)
+export class JUnitReporter {
+  constructor({ write = defaultWrite, name = "SimpleTest" } = {}) {
+    this.write = write;
+    this.name = name;
+  }
+
+  onRunComplete({ results, duration }) {
+    const suites = new Map();
+    results.forEach((result) => {
+      // 러너로 여러 파일을 실행한 경우 같은 이름의 스위트가 섞이지 않도록 파일 이름을 붙임
+      const suitePath = result.file
+        ? [path.basename(result.file), ...result.suitePath]
+        : result.suitePath;
+      const suiteName = suitePath.join(" > ") || "(root)";
+      if (!suites.has(suiteName)) suites.set(suiteName, []);
+      suites.get(suiteName).push(result);
+    });
+
+    const seconds = (ms) => (ms / 1000).toFixed(3);
+    const totals = (list) => ({
+      tests: list.length,
+      failures: list.filter(({ status }) => status === "failed").length,
+      skipped: list.filter(
+        ({ status }) => status === "skipped" || status === "todo"
+      ).length,
+    });
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites ${xmlAttributes({
+        name: this.name,
+        ...totals(results),
+        time: seconds(duration),
+      })}>`,
+    ];
+
+    suites.forEach((list, suiteName) => {
+      const time = list.reduce((sum, result) => sum + result.duration, 0);
+      lines.push(
+        `  <testsuite ${xmlAttributes({
+          name: suiteName,
+          ...totals(list),
+          time: seconds(time),
+        })}>`
+      );
+
+      list.forEach(({ name, status, error, duration: testDuration }) => {
+        const testcase = xmlAttributes({
+          name,
+          classname: suiteName,
+          time: seconds(testDuration),
+        });
+
+        if (status === "passed") {
+          lines.push(`    <testcase ${testcase}/>`);
+          return;
+        }
+
+        lines.push(`    <testcase ${testcase}>`);
+        if (status === "failed") {
+          const failure = xmlAttributes({
+            message: stripAnsi(error.message),
+            type: error.name,
+          });
+          lines.push(
+            `      <failure ${failure}>${escapeXml(
+              stripAnsi(error.stack || error.message)
+            )}</failure>`
+          );
+        } else {
+          const message = status === "todo" ? ' message="todo"' : "";
+          lines.push(`      <skipped${message}/>`);
+        }
+        lines.push("    </testcase>");
+      });
+
+      lines.push("  </testsuite>");
+    });
+
+    lines.push("</testsuites>");
+    this.write(lines.join("\n"));
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * 리포터와 커버리지 요약 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import {
+  checkThresholds,
+  collectCoverage,
+  formatLcov,
+  summarizeFile,
+} from "./coverage.js";
+import { JsonReporter, JUnitReporter, TapReporter } from "./reporters.js";
+
+const results = [
+  {
+    name: "adds",
+    fullName: "math > adds",
+    suitePath: ["math"],
+    status: "passed",
+    duration: 1,
+    error: null,
+  },
+  {
+    name: "divides <by> zero",
+    fullName: "math > divides <by> zero",
+    suitePath: ["math"],
+    status: "failed",
+    duration: 2,
+    error: {
+      name: "AssertionError",
+      message: "\x1b[31mExpected 1\x1b[39m to be 2",
+      stack: "AssertionError: ...\n    at test.js:1:1",
+    },
+  },
+  {
+    name: "later #1",
+    fullName: "later #1",
+    suitePath: [],
+    status: "todo",
+    duration: 0,
+    error: null,
+  },
+];
+const summary = {
+  passed: 1,
+  failed: 1,
+  skipped: 0,
+  todo: 1,
+  duration: 3,
+  snapshot: null,
+  results,
+};
+
+// write로 받은 출력을 모아 두는 리포터
+function capture(Reporter) {
+  const output = [];
+  const reporter = new Reporter({ write: (text) => output.push(text) });
+  reporter.onRunComplete(summary);
+  return output.join("\n");
+}
+
+export default function (test) {
+  test.describe("reporters", function () {
+    this.it("should write TAP without color codes", function () {
+      const lines = capture(TapReporter).split("\n");
+
+      this.expect(lines.slice(0, 4)).toEqual([
+        "TAP version 13",
+        "1..3",
+        "ok 1 - math > adds",
+        "not ok 2 - math > divides <by> zero",
+      ]);
+      this.expect(lines).toContain('  message: "Expected 1 to be 2"');
+      this.expect(lines[lines.length - 1]).toBe("not ok 3 - later \\#1 # TODO");
+    });
+
+    this.it("should write escaped JUnit XML per suite", function () {
+      const xml = capture(JUnitReporter);
+
+      this.expect(xml).toContain(
+        '<testsuites name="SimpleTest" tests="3" failures="1" skipped="1" time="0.003">'
+      );
+      this.expect(xml).toContain('<testsuite name="math" tests="2"');
+      this.expect(xml).toContain('name="divides &lt;by&gt; zero"');
+      this.expect(xml).toContain(
+        '<failure message="Expected 1 to be 2" type="AssertionError">'
+      );
+      this.expect(xml).toContain('<skipped message="todo"/>');
+      this.expect(xml).not.toContain("\x1b");
+    });
+
+    this.it("should write the whole summary as JSON", function () {
+      const report = JSON.parse(capture(JsonReporter));
+      this.expect(report.summary).toEqual({
+        passed: 1,
+        failed: 1,
+        skipped: 0,
+        todo: 1,
+        duration: 3,
+        snapshot: null,
+      });
+      this.expect(report.results).toHaveLength(3);
+    });
+  });
+
+  test.describe("coverage", function () {
+    let dir;
+
+    this.beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpletest-coverage-"));
+    });
+
+    this.afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // V8이 남기는 것과 같은 형식의 커버리지 JSON을 직접 만들어서 읽음
+    this.it("should turn V8 ranges into line and function counts", function () {
+      const source = [
+        "export function used() {",
+        "  return 1;",
+        "}",
+        "export function unused() {",
+        "  return 2;",
+        "}",
+        "used();",
+      ].join("\n");
+      const file = path.join(dir, "module.js");
+      fs.writeFileSync(file, source);
+
+      const range = (name, count) => {
+        const start = source.indexOf(`export function ${name}`);
+        const end = source.indexOf("}", start) + 1;
+        return { startOffset: start, endOffset: end, count };
+      };
+      const v8 = {
+        result: [
+          {
+            url: pathToFileURL(file).href,
+            functions: [
+              {
+                functionName: "",
+                ranges: [
+                  { startOffset: 0, endOffset: source.length, count: 1 },
+                ],
+              },
+              { functionName: "used", ranges: [range("used", 1)] },
+              { functionName: "unused", ranges: [range("unused", 0)] },
+            ],
+          },
+        ],
+      };
+      const coverageDir = path.join(dir, "v8");
+      fs.mkdirSync(coverageDir);
+      fs.writeFileSync(path.join(coverageDir, "run.json"), JSON.stringify(v8));
+
+      const [coverage] = collectCoverage(coverageDir);
+      this.expect([...coverage.lines]).toEqual([
+        [1, 1],
+        [2, 1],
+        [4, 0],
+        [5, 0],
+        [7, 1],
+      ]);
+
+      const { lines, functions, branches } = summarizeFile(coverage);
+      this.expect([lines.covered, lines.total]).toEqual([3, 5]);
+      this.expect([functions.covered, functions.total]).toEqual([1, 2]);
+      this.expect(branches.pct).toBe(100);
+      this.expect(formatLcov([coverage])).toContain("FNDA:0,unused");
+      this.expect(
+        checkThresholds({ lines, functions }, { lines: 60, functions: 80 })
+      ).toEqual(["functions 커버리지 50.00%가 기준 80%보다 낮습니다"]);
+    });
+  });
+}
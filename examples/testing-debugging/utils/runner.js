@@ -0,0 +1,357 @@
+/**
+ * 테스트 파일 탐색과 실행
+ * *.test.js 파일을 찾아 파일마다 별도 프로세스(새 SimpleTest 인스턴스)에서 실행하고 결과를 모읍니다.
+ *
+ * 테스트 파일은 SimpleTest 인스턴스를 받는 함수를 default export 합니다.
+ *   export default function (test) {
+ *     test.describe("Calculator", function () {
+ *       this.it("adds", function () { this.expect(1 + 1).toBe(2); });
+ *     });
+ *   }
+ */
+
+import { fork } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import {
+  checkThresholds,
+  collectCoverage,
+  formatCoverageTable,
+  formatLcov,
+  summarizeTotal,
+  writeHtmlReport,
+} from "./coverage.js";
+import { ConsoleReporter } from "./reporters.js";
+import { SimpleTest } from "./simpleTest.js";
+
+const TEST_FILE_PATTERN = /\.test\.js$/;
+const IGNORED_DIRS = new Set(["node_modules", "__snapshots__", "coverage"]);
+const WORKER_PATH = fileURLToPath(new URL("./testWorker.js", import.meta.url));
+const FRAMEWORK_DIR = path.dirname(WORKER_PATH);
+
+// dir 아래의 *.test.js 파일 목록 (숨김 폴더와 node_modules 제외)
+export function findTestFiles(dir) {
+  const files = [];
+  const visit = (current) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith(".") && !IGNORED_DIRS.has(entry.name)) {
+          visit(fullPath);
+        }
+      } else if (TEST_FILE_PATTERN.test(entry.name)) {
+        files.push(fullPath);
+      }
+    });
+  };
+  visit(path.resolve(dir));
+  return files.sort();
+}
+
+// 상대 경로 import를 따라가며 파일이 의존하는 모듈 목록을 수집 (watch 모드용)
+export function collectDependencies(file, seen = new Set()) {
+  if (seen.has(file) || !fs.existsSync(file)) return seen;
+  seen.add(file);
+
+  const source = fs.readFileSync(file, "utf8");
+  const patterns = [
+    /(?:import|export)\s[^'"]*?from\s*["'](\.{1,2}\/[^"']+)["']/g,
+    /import\s*["'](\.{1,2}\/[^"']+)["']/g,
+    /import\(\s*["'](\.{1,2}\/[^"']+)["']\s*\)/g,
+  ];
+  patterns.forEach((pattern) => {
+    for (const [, specifier] of source.matchAll(pattern)) {
+      collectDependencies(path.resolve(path.dirname(file), specifier), seen);
+    }
+  });
+  return seen;
+}
+
+/**
+ * 현재 프로세스에서 테스트 파일 하나를 실행 (testWorker.js가 호출)
+ * silent가 true면 콘솔 출력 없이 결과만 반환합니다.
+ */
+export async function runTestFile(
+  file,
+  { testNamePattern, updateSnapshot, timeout, silent = false } = {}
+) {
+  const test = new SimpleTest({
+    testPath: file,
+    updateSnapshot,
+    timeout,
+    reporters: silent ? [] : [new ConsoleReporter()],
+  });
+
+  const module = await import(pathToFileURL(file).href);
+  if (typeof module.default !== "function") {
+    throw new TypeError(
+      "테스트 파일은 SimpleTest 인스턴스를 받는 함수를 default export 해야 합니다"
+    );
+  }
+  await module.default(test);
+  return test.run({ testNamePattern });
+}
+
+// 파일을 불러오지 못했거나 프로세스가 비정상 종료된 경우의 결과
+function crashSummary(file, error) {
+  return {
+    passed: 0,
+    failed: 1,
+    skipped: 0,
+    todo: 0,
+    duration: 0,
+    snapshot: null,
+    crashed: true,
+    results: [
+      {
+        name: "(테스트 파일 실행 실패)",
+        fullName: path.basename(file),
+        suitePath: [],
+        status: "failed",
+        duration: 0,
+        error,
+      },
+    ],
+  };
+}
+
+// 자식 프로세스에서 테스트 파일 하나를 실행하고 요약을 받아옴
+export function runFileInWorker(
+  file,
+  options = {},
+  { env = process.env } = {}
+) {
+  return new Promise((resolve) => {
+    const child = fork(WORKER_PATH, [file, JSON.stringify(options)], {
+      stdio: "inherit",
+      env,
+    });
+
+    let summary = null;
+    let failure = null;
+    child.on("message", (message) => {
+      if (message.type === "summary") summary = message.summary;
+      if (message.type === "error") failure = message.error;
+    });
+    child.on("exit", (code) => {
+      const result =
+        summary ||
+        crashSummary(file, failure || {
+          name: "Error",
+          message: `테스트 프로세스가 종료 코드 ${code}로 끝났습니다`,
+          stack: "",
+        });
+      result.results.forEach((entry) => {
+        entry.file = file;
+      });
+      resolve(result);
+    });
+  });
+}
+
+// 파일별 요약을 하나로 합침
+export function mergeSummaries(summaries) {
+  const sum = (pick) => summaries.reduce((total, s) => total + pick(s), 0);
+  const snapshots = summaries.map((s) => s.snapshot).filter(Boolean);
+  const sumSnapshot = (key) =>
+    snapshots.reduce((total, snapshot) => total + snapshot[key], 0);
+
+  return {
+    passed: sum((s) => s.passed),
+    failed: sum((s) => s.failed),
+    skipped: sum((s) => s.skipped),
+    todo: sum((s) => s.todo),
+    duration: sum((s) => s.duration),
+    snapshot: {
+      added: sumSnapshot("added"),
+      updated: sumSnapshot("updated"),
+      matched: sumSnapshot("matched"),
+      unmatched: sumSnapshot("unmatched"),
+      removed: sumSnapshot("removed"),
+      obsolete: snapshots.flatMap((snapshot) => snapshot.obsolete),
+    },
+    results: summaries.flatMap((s) => s.results),
+  };
+}
+
+/**
+ * 커버리지 보고서 작성
+ * root 아래의 파일 중 테스트 파일, node_modules, 테스트 프레임워크 자신은 제외합니다.
+ * 텍스트 요약을 반환하고 HTML과 lcov.info는 dir에 저장합니다.
+ */
+function reportCoverage(tempDir, { root, dir = "coverage", thresholds, cwd }) {
+  const files = collectCoverage(tempDir, {
+    include: (file) =>
+      file.startsWith(root + path.sep) &&
+      !file.startsWith(FRAMEWORK_DIR + path.sep) &&
+      !file.split(path.sep).includes("node_modules") &&
+      !TEST_FILE_PATTERN.test(file),
+  });
+
+  const outputDir = path.resolve(cwd, dir);
+  writeHtmlReport(files, outputDir, { cwd });
+  fs.writeFileSync(
+    path.join(outputDir, "lcov.info"),
+    `${formatLcov(files)}\n`
+  );
+
+  const total = summarizeTotal(files);
+  return {
+    total,
+    failures: checkThresholds(total, thresholds),
+    table: formatCoverageTable(files, { cwd }),
+    outputDir,
+  };
+}
+
+/**
+ * 테스트 파일들을 순서대로 실행하고 합친 결과를 reporter로 출력
+ * reporter가 ConsoleReporter면 파일별 출력을 그대로 보여주고, 그 외에는 자식 출력을 끔
+ * coverage: { root, dir, thresholds }를 주면 V8 커버리지를 수집해 요약에 coverage로 붙임
+ */
+export async function runTestFiles(
+  files,
+  {
+    reporter = new ConsoleReporter(),
+    cwd = process.cwd(),
+    coverage = null,
+    ...options
+  } = {}
+) {
+  const isConsole = reporter instanceof ConsoleReporter;
+  const summaries = [];
+  const coverageTemp =
+    coverage && fs.mkdtempSync(path.join(os.tmpdir(), "simpletest-coverage-"));
+  const env = coverageTemp
+    ? { ...process.env, NODE_V8_COVERAGE: coverageTemp }
+    : process.env;
+
+  for (const file of files) {
+    if (isConsole) console.log(`\n📂 ${path.relative(cwd, file)}`);
+    const summary = await runFileInWorker(
+      file,
+      { ...options, silent: !isConsole },
+      { env }
+    );
+    if (isConsole && summary.crashed) {
+      console.log(`  ❌ ${summary.results[0].error.message}`);
+    }
+    summaries.push(summary);
+  }
+
+  const merged = mergeSummaries(summaries);
+  merged.files = {
+    total: files.length,
+    failed: summaries.filter((summary) => summary.failed > 0).length,
+  };
+
+  if (isConsole) {
+    console.log(`\n${"=".repeat(40)}`);
+    console.log(
+      `🗂️ Test Files: ${merged.files.total - merged.files.failed} passed, ` +
+        `${merged.files.failed} failed`
+    );
+  }
+  let coverageReport = null;
+  if (coverageTemp) {
+    try {
+      coverageReport = reportCoverage(coverageTemp, { ...coverage, cwd });
+    } finally {
+      fs.rmSync(coverageTemp, { recursive: true, force: true });
+    }
+    merged.coverage = {
+      ...coverageReport.total,
+      failures: coverageReport.failures,
+    };
+  }
+
+  reporter.onRunComplete?.(merged);
+
+  // JSON/TAP 등 기계용 출력을 섞지 않도록 콘솔 리포터가 아니면 stderr로 출력
+  if (coverageReport) {
+    const log = isConsole ? console.log : console.error;
+    log(`\n📈 Coverage:\n${coverageReport.table}`);
+    const outputDir = path.relative(cwd, coverageReport.outputDir);
+    log(`📁 HTML/lcov 보고서: ${outputDir}`);
+    coverageReport.failures.forEach((failure) => log(`❌ ${failure}`));
+  }
+  return merged;
+}
+
+/**
+ * watch 모드: 처음에 전체를 실행하고, 파일이 바뀌면 그 파일에 의존하는 테스트 파일만 다시 실행
+ * dir 밖에서 import한 파일은 그 폴더를 따로 감시합니다 (새로 생긴 의존성은 다음 실행부터 감시).
+ * 반환값은 감시를 멈추는 함수입니다.
+ */
+export function watchTestFiles(dir, options = {}) {
+  const root = path.resolve(dir);
+  const changed = new Set();
+  const watchers = new Map(); // 감시 중인 폴더 → FSWatcher
+  let running = false;
+  let timer = null;
+
+  const watch = (target, recursive) => {
+    if (watchers.has(target)) return;
+    const watcher = fs.watch(target, { recursive }, (event, filename) => {
+      if (!filename) return;
+      const segments = filename.split(path.sep);
+      if (segments.some((segment) => IGNORED_DIRS.has(segment))) return;
+      changed.add(path.resolve(target, filename));
+      schedule();
+    });
+    watchers.set(target, watcher);
+  };
+
+  const watchOutsideDependencies = (files) => {
+    files.forEach((file) => {
+      for (const dependency of collectDependencies(file)) {
+        const relative = path.relative(root, dependency);
+        if (relative.startsWith("..") || path.isAbsolute(relative)) {
+          watch(path.dirname(dependency), false);
+        }
+      }
+    });
+  };
+
+  const run = async (files) => {
+    running = true;
+    try {
+      watchOutsideDependencies(files);
+      await runTestFiles(files, options);
+    } catch (error) {
+      // 실행 중 에러가 나도 감시는 계속함
+      console.error(`\n❌ ${error.stack || error.message}`);
+    } finally {
+      running = false;
+    }
+    console.log("\n👀 변경을 기다리는 중... (Ctrl+C로 종료)");
+    if (changed.size > 0) schedule();
+  };
+
+  const rerunAffected = () => {
+    if (running) return;
+    const changedFiles = [...changed];
+    changed.clear();
+
+    const affected = findTestFiles(dir).filter((file) => {
+      const dependencies = collectDependencies(file);
+      return changedFiles.some((changedFile) => dependencies.has(changedFile));
+    });
+    if (affected.length > 0) run(affected);
+  };
+
+  // 저장할 때 여러 번 발생하는 이벤트를 한 번으로 묶음
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(rerunAffected, 100);
+  };
+
+  watch(root, true);
+  run(findTestFiles(dir));
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * 테스트 파일 탐색과 실행 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ * 임시 폴더에 테스트 파일을 만들어서 실행합니다.
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import {
+  collectDependencies,
+  findTestFiles,
+  mergeSummaries,
+  runFileInWorker,
+  runTestFile,
+} from "./runner.js";
+
+const SIMPLE_TEST_URL = pathToFileURL(
+  new URL("./simpleTest.js", import.meta.url).pathname
+).href;
+
+export default function (test) {
+  test.describe("test runner", function () {
+    let dir;
+    // files: { 상대 경로: 내용 }
+    const writeFiles = (files) =>
+      Object.entries(files).forEach(([name, source]) => {
+        const file = path.join(dir, name);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, source);
+      });
+
+    this.beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpletest-runner-"));
+    });
+
+    this.afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    this.it("should find test files outside ignored folders", function () {
+      writeFiles({
+        "a.test.js": "",
+        "nested/b.test.js": "",
+        "nested/helper.js": "",
+        "node_modules/pkg/c.test.js": "",
+        "__snapshots__/d.test.js": "",
+        ".cache/e.test.js": "",
+      });
+
+      this.expect(
+        findTestFiles(dir).map((file) => path.relative(dir, file))
+      ).toEqual(["a.test.js", path.join("nested", "b.test.js")]);
+    });
+
+    this.it("should follow relative imports for dependencies", function () {
+      writeFiles({
+        "src/app.test.js":
+          'import { a } from "./a.js";\nimport "../shared/setup.js";\n',
+        "src/a.js":
+          'export { b as a } from "./b.js";\nimport fs from "node:fs";',
+        "src/b.js": 'export const b = await import("./a.js");',
+        "shared/setup.js": "",
+      });
+
+      const dependencies = collectDependencies(
+        path.join(dir, "src/app.test.js")
+      );
+      this.expect(
+        [...dependencies].map((file) => path.relative(dir, file)).sort()
+      ).toEqual([
+        path.join("shared", "setup.js"),
+        path.join("src", "a.js"),
+        path.join("src", "app.test.js"),
+        path.join("src", "b.js"),
+      ]);
+    });
+
+    this.it("should run a test file in this process", async function () {
+      writeFiles({
+        "sum.test.js": `
+          export default function (test) {
+            test.describe("sum", function () {
+              this.it("adds", function () { this.expect(1 + 1).toBe(2); });
+              this.it("fails", function () { this.expect(1 + 1).toBe(3); });
+            });
+          }
+        `,
+      });
+
+      const summary = await runTestFile(path.join(dir, "sum.test.js"), {
+        silent: true,
+        testNamePattern: "adds",
+      });
+      this.expect([summary.passed, summary.failed, summary.skipped]).toEqual([
+        1, 0, 1,
+      ]);
+    });
+
+    this.it("should require a default export function", async function () {
+      writeFiles({ "bad.test.js": "export const value = 1;" });
+      await this.expect(
+        runTestFile(path.join(dir, "bad.test.js"), { silent: true })
+      ).rejects.toThrow(TypeError);
+    });
+
+    this.it("should report a crashed worker as one failure", async function () {
+      writeFiles({ "broken.test.js": "export default function ( {" });
+      const file = path.join(dir, "broken.test.js");
+
+      const summary = await runFileInWorker(file, { silent: true });
+      this.expect(summary.crashed).toBe(true);
+      this.expect(summary.failed).toBe(1);
+      this.expect(summary.results[0].file).toBe(file);
+      this.expect(summary.results[0].error.name).toBe("SyntaxError");
+    });
+
+    this.it("should run a worker with the framework", async function () {
+      writeFiles({
+        "ok.test.js": `
+          import { SimpleTest } from ${JSON.stringify(SIMPLE_TEST_URL)};
+          export default function (test) {
+            test.it("knows its class", function () {
+              this.expect(test).toBeInstanceOf(SimpleTest);
+            });
+          }
+        `,
+      });
+
+      const summary = await runFileInWorker(path.join(dir, "ok.test.js"), {
+        silent: true,
+      });
+      this.expect([summary.passed, summary.failed]).toEqual([1, 0]);
+    });
+  });
+
+  test.describe("mergeSummaries", function () {
+    this.it("should add up totals and snapshot stats", function () {
+      const summary = (passed, failed, obsolete) => ({
+        passed,
+        failed,
+        skipped: 1,
+        todo: 0,
+        duration: 10,
+        snapshot: {
+          added: 1,
+          updated: 0,
+          matched: 2,
+          unmatched: 0,
+          removed: 0,
+          obsolete,
+        },
+        results: [{ name: `${passed}` }],
+      });
+
+      const merged = mergeSummaries([
+        summary(2, 0, ["x 1"]),
+        summary(1, 1, []),
+      ]);
+      this.expect(merged.passed).toBe(3);
+      this.expect(merged.failed).toBe(1);
+      this.expect(merged.skipped).toBe(2);
+      this.expect(merged.duration).toBe(20);
+      this.expect(merged.snapshot.matched).toBe(4);
+      this.expect(merged.snapshot.obsolete).toEqual(["x 1"]);
+      this.expect(merged.results).toHaveLength(2);
+    });
+  });
+}
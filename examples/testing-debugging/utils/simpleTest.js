@@ -0,0 +1,417 @@
+/**
+ * SimpleTest 테스트 러너
+ * describe/it 등록, 훅, 비동기 테스트, 매처, 목, 가짜 시계, 스냅샷, 리포터를 묶은 핵심 클래스입니다.
+ */
+
+import { FakeClock } from "./fakeTimers.js";
+import { builtinMatchers, createExpectation } from "./matchers.js";
+import { fn, mockMatchers, spyOn } from "./mock.js";
+import { gen, property } from "./property.js";
+import { ConsoleReporter } from "./reporters.js";
+import { SnapshotState, snapshotMatchers } from "./snapshot.js";
+
+// 테스트 제한 시간은 가짜 시계의 영향을 받지 않도록 진짜 타이머를 사용
+const { setTimeout: realSetTimeout, clearTimeout: realClearTimeout } =
+  globalThis;
+
+// 간단한 테스팅 프레임워크 구현
+export class SimpleTest {
+  /**
+   * testPath: 테스트 파일 경로 (스냅샷 파일을 그 옆 __snapshots__에 저장)
+   * updateSnapshot: "new" | "all" | "none" (SnapshotState 참고)
+   */
+  constructor({
+    timeout = 5000,
+    reporters = [new ConsoleReporter()],
+    testPath = null,
+    updateSnapshot = "new",
+  } = {}) {
+    this.passed = 0;
+    this.failed = 0;
+    this.skipped = 0;
+    this.todo = 0;
+    this.results = [];
+    this.reporters = reporters;
+    this.hasOnly = false; // .only가 하나라도 있으면 .only 대상만 실행
+    this.timeout = timeout; // 테스트당 기본 제한 시간(ms)
+    this.matchers = {
+      ...builtinMatchers,
+      ...mockMatchers,
+      ...snapshotMatchers,
+    };
+    this.snapshotState = new SnapshotState({
+      testPath,
+      update: updateSnapshot,
+    });
+    this.currentTest = null;
+    this.spies = [];
+    this.clock = null;
+    this.gen = gen; // 테스트 파일이 따로 import하지 않아도 생성기를 쓸 수 있도록
+    this.rootSuite = SimpleTest.createSuite(null, null);
+    this.currentSuite = this.rootSuite;
+
+    // this.it.only(...), this.describe.skip(...) 형태로 쓸 수 있도록 바인딩
+    this.it = Object.assign(this.it.bind(this), {
+      only: (description, testFn, timeout = this.timeout) =>
+        this.addTest(description, testFn, timeout, "only"),
+      skip: (description, testFn, timeout = this.timeout) =>
+        this.addTest(description, testFn, timeout, "skip"),
+      todo: (description) => this.addTest(description, null, 0, "todo"),
+    });
+    this.describe = Object.assign(this.describe.bind(this), {
+      only: (name, fn) => this.addSuite(name, fn, "only"),
+      skip: (name, fn) => this.addSuite(name, fn, "skip"),
+    });
+  }
+
+  static createSuite(name, parent, mode = null) {
+    return {
+      name,
+      parent,
+      mode, // null | "only" | "skip"
+      children: [], // 등록 순서대로 테스트와 하위 스위트를 함께 보관
+      hooks: { beforeAll: [], afterAll: [], beforeEach: [], afterEach: [] },
+    };
+  }
+
+  // 루트부터 해당 스위트까지의 이름 목록 (예: ["Calculator", "add"])
+  static suitePath(suite) {
+    const path = [];
+    for (let current = suite; current.parent; current = current.parent) {
+      path.unshift(current.name);
+    }
+    return path;
+  }
+
+  describe(name, fn) {
+    this.addSuite(name, fn, null);
+  }
+
+  // 테스트는 바로 실행하지 않고 큐에 등록만 함 (run()에서 순서대로 실행)
+  it(description, testFn, timeout = this.timeout) {
+    this.addTest(description, testFn, timeout, null);
+  }
+
+  addSuite(name, fn, mode) {
+    const parentSuite = this.currentSuite;
+    const suite = SimpleTest.createSuite(name, parentSuite, mode);
+    parentSuite.children.push(suite);
+    if (mode === "only") this.hasOnly = true;
+
+    this.currentSuite = suite;
+    try {
+      fn.call(this);
+    } finally {
+      this.currentSuite = parentSuite;
+    }
+  }
+
+  addTest(description, testFn, timeout, mode) {
+    const path = [...SimpleTest.suitePath(this.currentSuite), description];
+    this.currentSuite.children.push({
+      description,
+      fullName: path.join(" > "),
+      testFn,
+      timeout,
+      mode, // null | "only" | "skip" | "todo"
+    });
+    if (mode === "only") this.hasOnly = true;
+  }
+
+  // 훅은 호출된 describe 블록(과 그 하위 스위트)에만 적용됨
+  beforeAll(fn, timeout = this.timeout) {
+    this.currentSuite.hooks.beforeAll.push({ fn, timeout });
+  }
+
+  afterAll(fn, timeout = this.timeout) {
+    this.currentSuite.hooks.afterAll.push({ fn, timeout });
+  }
+
+  beforeEach(fn, timeout = this.timeout) {
+    this.currentSuite.hooks.beforeEach.push({ fn, timeout });
+  }
+
+  afterEach(fn, timeout = this.timeout) {
+    this.currentSuite.hooks.afterEach.push({ fn, timeout });
+  }
+
+  // 동기 함수, Promise 반환 함수, done 콜백 함수를 모두 같은 방식으로 기다림
+  // 실행 중에 잡히지 않은 예외/reject(예: 타이머 안에서 실패한 expect)는 이 테스트의 실패로 처리
+  callWithTimeout(fn, timeout) {
+    return new Promise((resolve, reject) => {
+      const settle = () => {
+        realClearTimeout(timer);
+        process.removeListener("uncaughtException", fail);
+        process.removeListener("unhandledRejection", fail);
+      };
+      const pass = () => {
+        settle();
+        resolve();
+      };
+      const fail = (error) => {
+        settle();
+        reject(error instanceof Error ? error : new Error(String(error)));
+      };
+
+      const timer = realSetTimeout(() => {
+        fail(new Error(`Timeout: ${timeout}ms 안에 테스트가 끝나지 않았습니다`));
+      }, timeout);
+      process.once("uncaughtException", fail);
+      process.once("unhandledRejection", fail);
+
+      try {
+        if (fn.length > 0) {
+          // it("...", function (done) { ... }) 형태: done(error)로 종료
+          fn.call(this, (error) => (error ? fail(error) : pass()));
+        } else {
+          Promise.resolve(fn.call(this)).then(pass, fail);
+        }
+      } catch (error) {
+        fail(error);
+      }
+    });
+  }
+
+  expect(actual) {
+    return createExpectation(actual, this.matchers, {
+      snapshotState: this.snapshotState,
+      testName: this.currentTest?.fullName,
+    });
+  }
+
+  fn(implementation) {
+    return fn(implementation);
+  }
+
+  // restoreAllMocks()로 한 번에 되돌릴 수 있도록 스파이를 기록
+  spyOn(obj, methodName) {
+    const spy = spyOn(obj, methodName);
+    this.spies.push(spy);
+    return spy;
+  }
+
+  restoreAllMocks() {
+    this.spies.reverse().forEach((spy) => spy.mockRestore());
+    this.spies = [];
+  }
+
+  // 속성 기반 테스트: 생성기는 test.gen 또는 utils/property.js의 gen 사용
+  property(generators, predicate, options) {
+    return property(generators, predicate, options);
+  }
+
+  // 가짜 시계 설치: 각 테스트가 끝나면 자동으로 진짜 시계로 복원됨
+  useFakeTimers(options) {
+    this.useRealTimers();
+    this.clock = new FakeClock(options).install();
+    return this.clock;
+  }
+
+  useRealTimers() {
+    if (this.clock) {
+      this.clock.uninstall();
+      this.clock = null;
+    }
+  }
+
+  // 커스텀 매처 등록: 매처는 (received, ...args) => { pass, message }
+  // 매처가 Promise를 반환하면 expect(...).매처()도 Promise를 반환하므로 await 해야 함
+  extend(matchers) {
+    Object.assign(this.matchers, matchers);
+  }
+
+  /**
+   * 등록된 테스트를 하나씩 실행하고, 모두 끝나면 최종 결과로 resolve
+   * testNamePattern: 전체 이름("Suite > test")에 대한 필터 (문자열은 부분 일치, RegExp는 test)
+   */
+  async run({ testNamePattern } = {}) {
+    this.testNamePattern = testNamePattern;
+    // 같은 인스턴스로 다시 실행해도 이전 실행의 결과가 섞이지 않도록 초기화
+    this.passed = 0;
+    this.failed = 0;
+    this.skipped = 0;
+    this.todo = 0;
+    this.results = [];
+    this.emit("onRunStart");
+
+    const start = performance.now();
+    const knownTests = new Set(this.collectTestNames(this.rootSuite));
+    this.ranTests = new Set();
+    await this.runSuite(this.rootSuite);
+    const snapshot = this.snapshotState.save({
+      knownTests,
+      ranTests: this.ranTests,
+    });
+
+    this.rootSuite = SimpleTest.createSuite(null, null);
+    this.currentSuite = this.rootSuite;
+    this.hasOnly = false;
+
+    const summary = {
+      passed: this.passed,
+      failed: this.failed,
+      skipped: this.skipped,
+      todo: this.todo,
+      duration: performance.now() - start,
+      snapshot,
+      results: [...this.results],
+    };
+    this.emit("onRunComplete", summary);
+    return summary;
+  }
+
+  collectTestNames(suite) {
+    return suite.children.flatMap((child) =>
+      child.children ? this.collectTestNames(child) : [child.fullName]
+    );
+  }
+
+  // 각 리포터에서 구현한 메서드만 호출
+  emit(event, payload) {
+    this.reporters.forEach((reporter) => reporter[event]?.(payload));
+  }
+
+  // "run" | "skip" | "todo": skip/only 표시, 이름 필터를 모두 반영한 실행 여부
+  testStatus(test, suite) {
+    if (test.mode === "todo") return "todo";
+
+    const modes = [test.mode];
+    for (let current = suite; current; current = current.parent) {
+      modes.push(current.mode);
+    }
+    if (modes.includes("skip")) return "skip";
+    if (this.hasOnly && !modes.includes("only")) return "skip";
+
+    const pattern = this.testNamePattern;
+    if (pattern instanceof RegExp && !pattern.test(test.fullName)) {
+      return "skip";
+    }
+    if (typeof pattern === "string" && !test.fullName.includes(pattern)) {
+      return "skip";
+    }
+    return "run";
+  }
+
+  hasRunnableTests(suite) {
+    return suite.children.some((child) =>
+      child.children
+        ? this.hasRunnableTests(child)
+        : this.testStatus(child, suite) === "run"
+    );
+  }
+
+  // beforeAll이 실패하면 blockedBy에 에러를 담아 하위 테스트를 모두 실패 처리
+  // 이 스위트의 beforeAll이 실패해도 afterAll은 실행 (바깥 스위트 때문에 막혔으면 둘 다 건너뜀)
+  async runSuite(suite, depth = 0, blockedBy = null) {
+    const path = SimpleTest.suitePath(suite);
+    if (suite.parent) {
+      this.emit("onSuiteStart", { name: suite.name, path, depth });
+    }
+
+    // 실행할 테스트가 없는 스위트는 beforeAll/afterAll도 건너뜀
+    const runnable = this.hasRunnableTests(suite);
+    const runHooks = runnable && !blockedBy;
+
+    if (runHooks) {
+      try {
+        await this.runHooks("beforeAll", suite.hooks.beforeAll);
+      } catch (error) {
+        blockedBy = error;
+      }
+    }
+
+    for (const child of suite.children) {
+      if (child.children) {
+        await this.runSuite(child, depth + 1, blockedBy);
+        continue;
+      }
+
+      const status = this.testStatus(child, suite);
+      if (status !== "run") {
+        this.report(child, path, status === "todo" ? "todo" : "skipped");
+        continue;
+      }
+
+      const start = performance.now();
+      const error = blockedBy || (await this.runTestCase(child, suite));
+      const duration = performance.now() - start;
+      this.report(child, path, error ? "failed" : "passed", error, duration);
+    }
+
+    if (runHooks) {
+      const start = performance.now();
+      try {
+        await this.runHooks("afterAll", suite.hooks.afterAll);
+      } catch (error) {
+        const hook = {
+          description: '"afterAll" hook',
+          fullName: [...path, '"afterAll" hook'].join(" > "),
+        };
+        this.report(hook, path, "failed", error, performance.now() - start);
+      }
+    }
+  }
+
+  // beforeEach는 바깥 스위트부터, afterEach는 안쪽 스위트부터 실행
+  async runTestCase(test, suite) {
+    const beforeEach = [];
+    const afterEach = [];
+    for (let current = suite; current; current = current.parent) {
+      beforeEach.unshift(...current.hooks.beforeEach);
+      afterEach.push(...current.hooks.afterEach);
+    }
+
+    let testError = null;
+    this.currentTest = test;
+    try {
+      await this.runHooks("beforeEach", beforeEach);
+      await this.callWithTimeout(test.testFn, test.timeout);
+    } catch (error) {
+      testError = error;
+    }
+
+    // 테스트가 실패해도 정리 작업은 반드시 실행
+    try {
+      await this.runHooks("afterEach", afterEach);
+    } catch (error) {
+      testError = testError || error;
+    }
+    // 실패한 테스트는 toMatchSnapshot까지 가지 못했을 수 있으므로 스냅샷 정리 대상에서 제외
+    if (!testError) this.ranTests.add(test.fullName);
+    this.useRealTimers();
+    this.currentTest = null;
+    return testError;
+  }
+
+  async runHooks(type, hooks) {
+    for (const { fn, timeout } of hooks) {
+      try {
+        await this.callWithTimeout(fn, timeout);
+      } catch (error) {
+        throw new Error(`"${type}" hook 실패: ${error.message}`, {
+          cause: error,
+        });
+      }
+    }
+  }
+
+  // 결과를 기록하고 리포터에 전달
+  report(test, suitePath, status, error = null, duration = 0) {
+    const result = {
+      name: test.description,
+      fullName: test.fullName,
+      suitePath,
+      status,
+      duration,
+      error: error && {
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+      },
+    };
+
+    this[status]++; // passed / failed / skipped / todo 카운터
+    this.results.push(result);
+    this.emit("onTestResult", result);
+  }
+}
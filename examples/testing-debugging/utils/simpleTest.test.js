@@ -0,0 +1,246 @@
+/**
+ * SimpleTest 실행 순서 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ * 검사 대상 테스트는 리포터 없는 별도의 SimpleTest에서 실행하고 요약을 확인합니다.
+ */
+
+import { SimpleTest } from "./simpleTest.js";
+
+// define(inner)로 등록한 테스트를 조용히 실행하고 요약을 반환
+async function runInner(define, options) {
+  const inner = new SimpleTest({ reporters: [], ...options });
+  define(inner);
+  return inner.run();
+}
+
+const statuses = ({ results }) =>
+  Object.fromEntries(results.map(({ fullName, status }) => [fullName, status]));
+
+export default function (test) {
+  test.describe("SimpleTest hooks", function () {
+    this.it("should nest hooks outside in", async function () {
+      const calls = [];
+      const log = (name) => () => calls.push(name);
+
+      await runInner((inner) => {
+        inner.describe("outer", function () {
+          this.beforeAll(log("beforeAll outer"));
+          this.beforeEach(log("beforeEach outer"));
+          this.afterEach(log("afterEach outer"));
+          this.afterAll(log("afterAll outer"));
+          this.it("a", log("test a"));
+
+          this.describe("inner", function () {
+            this.beforeAll(log("beforeAll inner"));
+            this.beforeEach(log("beforeEach inner"));
+            this.afterEach(log("afterEach inner"));
+            this.afterAll(log("afterAll inner"));
+            this.it("b", log("test b"));
+          });
+        });
+      });
+
+      this.expect(calls).toEqual([
+        "beforeAll outer",
+        "beforeEach outer",
+        "test a",
+        "afterEach outer",
+        "beforeAll inner",
+        "beforeEach outer",
+        "beforeEach inner",
+        "test b",
+        "afterEach inner",
+        "afterEach outer",
+        "afterAll inner",
+        "afterAll outer",
+      ]);
+    });
+
+    this.it("should fail tests under a failed beforeAll", async function () {
+      const calls = [];
+      const summary = await runInner((inner) => {
+        inner.describe("db", function () {
+          this.beforeAll(() => {
+            throw new Error("연결 실패");
+          });
+          this.beforeEach(() => calls.push("beforeEach"));
+          this.afterAll(() => calls.push("afterAll db"));
+          this.it("query", () => calls.push("query"));
+
+          this.describe("nested", function () {
+            this.afterAll(() => calls.push("afterAll nested"));
+            this.it("insert", () => calls.push("insert"));
+          });
+        });
+        inner.describe("other", function () {
+          this.it("runs", () => calls.push("other"));
+        });
+      });
+
+      this.expect(calls).toEqual(["afterAll db", "other"]);
+      this.expect(summary.failed).toBe(2);
+      this.expect(summary.passed).toBe(1);
+      summary.results
+        .filter(({ status }) => status === "failed")
+        .forEach(({ error }) => {
+          this.expect(error.message).toBe('"beforeAll" hook 실패: 연결 실패');
+        });
+    });
+
+    this.it("should report a failed afterAll", async function () {
+      const summary = await runInner((inner) => {
+        inner.describe("cleanup", function () {
+          this.afterAll(() => Promise.reject(new Error("정리 실패")));
+          this.it("works", () => {});
+        });
+      });
+
+      this.expect(statuses(summary)).toEqual({
+        "cleanup > works": "passed",
+        'cleanup > "afterAll" hook': "failed",
+      });
+    });
+
+    this.it("should run afterEach after a failure", async function () {
+      const afterEach = this.fn();
+      const summary = await runInner((inner) => {
+        inner.describe("suite", function () {
+          this.afterEach(afterEach);
+          this.it("fails", function () {
+            this.expect(1).toBe(2);
+          });
+        });
+      });
+
+      this.expect(summary.failed).toBe(1);
+      this.expect(afterEach).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  test.describe("SimpleTest async tests", function () {
+    this.it("should fail a test that runs past its timeout", async function () {
+      const summary = await runInner(
+        (inner) => {
+          inner.it("hangs", () => new Promise(() => {}));
+          inner.it("own limit", () => new Promise(() => {}), 10);
+        },
+        { timeout: 20 }
+      );
+
+      this.expect(summary.results.map(({ error }) => error.message)).toEqual([
+        "Timeout: 20ms 안에 테스트가 끝나지 않았습니다",
+        "Timeout: 10ms 안에 테스트가 끝나지 않았습니다",
+      ]);
+    });
+
+    this.it("should time out hooks too", async function () {
+      const summary = await runInner((inner) => {
+        inner.describe("slow setup", function () {
+          this.beforeEach(() => new Promise(() => {}), 10);
+          this.it("never starts", () => {});
+        });
+      });
+
+      this.expect(summary.results[0].error.message).toBe(
+        '"beforeEach" hook 실패: Timeout: 10ms 안에 테스트가 끝나지 않았습니다'
+      );
+    });
+
+    this.it("should wait for done and rejections", async function () {
+      const summary = await runInner((inner) => {
+        inner.it("done", (done) => setTimeout(done, 5));
+        inner.it("done with error", (done) => done(new Error("콜백 실패")));
+        inner.it("rejects", () => Promise.reject(new Error("비동기 실패")));
+      });
+
+      this.expect(summary.results.map(({ status }) => status)).toEqual([
+        "passed",
+        "failed",
+        "failed",
+      ]);
+      this.expect(summary.results[1].error.message).toBe("콜백 실패");
+    });
+  });
+
+  test.describe("SimpleTest filters", function () {
+    this.it("should run only the .only tests and suites", async function () {
+      const summary = await runInner((inner) => {
+        inner.describe("a", function () {
+          this.it("one", () => {});
+          this.it.only("two", () => {});
+        });
+        inner.describe.only("b", function () {
+          this.it("three", () => {});
+        });
+        inner.it("four", () => {});
+      });
+
+      this.expect(statuses(summary)).toEqual({
+        "a > one": "skipped",
+        "a > two": "passed",
+        "b > three": "passed",
+        four: "skipped",
+      });
+    });
+
+    this.it("should skip .skip and count todos", async function () {
+      const body = this.fn();
+      const summary = await runInner((inner) => {
+        inner.describe.skip("skipped", function () {
+          this.beforeAll(body);
+          this.it("inside", body);
+        });
+        inner.it.skip("alone", body);
+        inner.it.todo("later");
+        inner.it("runs", () => {});
+      });
+
+      this.expect(body).not.toHaveBeenCalled();
+      this.expect([
+        summary.passed,
+        summary.failed,
+        summary.skipped,
+        summary.todo,
+      ]).toEqual([1, 0, 2, 1]);
+    });
+
+    this.it("should filter by testNamePattern", async function () {
+      const define = (inner) => {
+        inner.describe("math", function () {
+          this.it("adds", () => {});
+          this.it("subtracts", () => {});
+        });
+      };
+
+      const inner = new SimpleTest({ reporters: [] });
+      define(inner);
+      const first = await inner.run({ testNamePattern: "math > add" });
+      define(inner);
+      const second = await inner.run({ testNamePattern: /sub/ });
+
+      this.expect(statuses(first)).toEqual({
+        "math > adds": "passed",
+        "math > subtracts": "skipped",
+      });
+      this.expect(statuses(second)).toEqual({
+        "math > adds": "skipped",
+        "math > subtracts": "passed",
+      });
+    });
+
+    this.it("should not carry totals over to the next run", async function () {
+      const inner = new SimpleTest({ reporters: [] });
+      inner.it("passes", () => {});
+      inner.it("fails", () => {
+        throw new Error("실패");
+      });
+      await inner.run();
+
+      inner.it("passes again", () => {});
+      const summary = await inner.run();
+      this.expect([summary.passed, summary.failed]).toEqual([1, 0]);
+      this.expect(summary.results).toHaveLength(1);
+      this.expect(inner.results).toHaveLength(1);
+    });
+  });
+}
@@ -0,0 +1,384 @@
+/**
+ * 스냅샷 테스트
+ * 값을 항상 같은 문자열로 직렬화해 __snapshots__/<테스트 파일>.snap에 저장하고,
+ * 다음 실행 때 저장된 스냅샷과 비교합니다.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { diffLines } from "./diff.js";
+import { ownKeys } from "./equality.js";
+import { walk } from "./walk.js";
+
+const INDENT = "  ";
+const UTILS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// 항목이 없으면 한 줄, 있으면 항목마다 한 줄씩 들여쓰기
+function block(open, close, items) {
+  if (items.length === 0) return `${open}${close}`;
+  const lines = items.map(
+    (item) => `${INDENT}${item.replace(/\n/g, `\n${INDENT}`)},`
+  );
+  return `${open}\n${lines.join("\n")}\n${close}`;
+}
+
+function serializeKey(key) {
+  return typeof key === "symbol" ? `[${String(key)}]` : JSON.stringify(key);
+}
+
+// 문자열 키는 정렬하고 Symbol 키는 설명 순으로 뒤에 붙임
+function sortedKeys(obj) {
+  const keys = ownKeys(obj);
+  const strings = keys.filter((key) => typeof key === "string").sort();
+  const symbols = keys
+    .filter((key) => typeof key === "symbol")
+    .sort((a, b) => String(a).localeCompare(String(b)));
+  return [...strings, ...symbols];
+}
+
+/**
+ * 결정적 직렬화
+ * 객체 키 정렬, Map/Set/TypedArray, Symbol 값과 키, 순환 참조([Circular])를 지원합니다.
+ */
+export function serialize(value) {
+  return walk(value, (current, { walkChild }) => {
+    if (typeof current === "string") {
+      return `"${current.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+    }
+    if (typeof current === "number" && Object.is(current, -0)) return "-0";
+    if (typeof current === "bigint") return `${current}n`;
+    if (typeof current === "function") {
+      return `[Function ${current.name || "anonymous"}]`;
+    }
+    if (current === null || typeof current !== "object") return String(current);
+
+    if (current instanceof Date) {
+      return isNaN(current)
+        ? "Date(Invalid)"
+        : `Date(${current.toISOString()})`;
+    }
+    if (current instanceof RegExp) return String(current);
+    if (current instanceof Error) return `[${current.name}: ${current.message}]`;
+    if (current instanceof ArrayBuffer) {
+      const bytes = Array.from(new Uint8Array(current), String);
+      return block("ArrayBuffer [", "]", bytes);
+    }
+    if (ArrayBuffer.isView(current) && !(current instanceof DataView)) {
+      const name = current.constructor.name;
+      return block(`${name} [`, "]", Array.from(current, String));
+    }
+    if (current instanceof Map) {
+      const entries = [...current].map(
+        ([k, v]) => `${walkChild(k, k)} => ${walkChild(v, k)}`
+      );
+      return block("Map {", "}", entries);
+    }
+    if (current instanceof Set) {
+      return block("Set {", "}", [...current].map((v, i) => walkChild(v, i)));
+    }
+
+    const proto = Object.getPrototypeOf(current);
+    const name =
+      proto === null ? "[Object: null prototype]" : proto.constructor?.name;
+
+    if (Array.isArray(current)) {
+      const prefix = name && name !== "Array" ? `${name} ` : "";
+      const items = Array.from(current, (v, i) => walkChild(v, i));
+      return block(`${prefix}[`, "]", items);
+    }
+
+    const props = sortedKeys(current).map(
+      (key) => `${serializeKey(key)}: ${walkChild(current[key], key)}`
+    );
+    const prefix = name && name !== "Object" ? `${name} ` : "";
+    return block(`${prefix}{`, "}", props);
+  });
+}
+
+const escapeTemplate = (text) =>
+  text.replace(/\\/g, "\\\\").replace(/`/g, "\\`").replace(/\$\{/g, "\\${");
+const unescapeTemplate = (text) => text.replace(/\\([\\`$])/g, "$1");
+
+function readSnapshotFile(snapshotPath) {
+  if (!fs.existsSync(snapshotPath)) return {};
+
+  const source = fs.readFileSync(snapshotPath, "utf8");
+  const pattern = /exports\[`((?:[^`\\]|\\.)*)`\] = `((?:[^`\\]|\\.)*)`;/g;
+  const snapshots = {};
+  for (const [, key, value] of source.matchAll(pattern)) {
+    // 저장할 때 앞뒤에 붙인 줄바꿈 제거
+    snapshots[unescapeTemplate(key)] = unescapeTemplate(value).slice(1, -1);
+  }
+  return snapshots;
+}
+
+function writeSnapshotFile(snapshotPath, snapshots) {
+  const keys = Object.keys(snapshots).sort();
+  if (keys.length === 0) {
+    if (fs.existsSync(snapshotPath)) fs.unlinkSync(snapshotPath);
+    return;
+  }
+
+  const entries = keys.map(
+    (key) =>
+      `exports[\`${escapeTemplate(key)}\`] = \`\n${escapeTemplate(
+        snapshots[key]
+      )}\n\`;`
+  );
+  fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+  fs.writeFileSync(
+    snapshotPath,
+    `// SimpleTest Snapshot v1\n\n${entries.join("\n\n")}\n`
+  );
+}
+
+// 인라인 스냅샷 템플릿 문자열의 공통 들여쓰기 제거
+function dedent(snapshot) {
+  const lines = snapshot.split("\n");
+  if (lines[0].trim() === "") lines.shift();
+  if (lines.length && lines[lines.length - 1].trim() === "") lines.pop();
+
+  const indents = lines
+    .filter((line) => line.trim() !== "")
+    .map((line) => line.match(/^\s*/)[0].length);
+  const common = indents.length ? Math.min(...indents) : 0;
+  return lines.map((line) => line.slice(common)).join("\n");
+}
+
+// 스택에서 utils/ 밖의 첫 호출 위치 = toMatchInlineSnapshot()을 호출한 테스트 코드
+function findCallSite(stack) {
+  for (const line of stack.split("\n").slice(1)) {
+    const match = line.match(/\(?((?:file:\/\/)?[^\s()]+):(\d+):(\d+)\)?$/);
+    if (!match || match[1].startsWith("node:")) continue;
+
+    const file = match[1].startsWith("file://")
+      ? fileURLToPath(match[1])
+      : match[1];
+    if (path.dirname(file) === UTILS_DIR) continue;
+    return { file, line: Number(match[2]), column: Number(match[3]) };
+  }
+  return null;
+}
+
+// 호출 위치의 toMatchInlineSnapshot(...) 인자를 새 템플릿 문자열로 교체
+function rewriteInlineSnapshots(file, updates) {
+  let source = fs.readFileSync(file, "utf8");
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === "\n") lineStarts.push(i + 1);
+  }
+
+  const located = updates.map((update) => ({
+    ...update,
+    offset: lineStarts[update.line - 1] + update.column - 1,
+  }));
+  // 뒤에서부터 바꿔야 앞쪽 위치가 어긋나지 않음
+  located.sort((a, b) => b.offset - a.offset);
+
+  for (const { offset, line, snapshot } of located) {
+    const callStart = source.indexOf("toMatchInlineSnapshot(", offset);
+    if (callStart === -1) continue;
+
+    const argStart = callStart + "toMatchInlineSnapshot(".length;
+    let argEnd = argStart;
+    while (/\s/.test(source[argEnd])) argEnd++;
+    if (source[argEnd] === "`") {
+      argEnd++;
+      while (argEnd < source.length && source[argEnd] !== "`") {
+        argEnd += source[argEnd] === "\\" ? 2 : 1;
+      }
+      argEnd++;
+    } else {
+      argEnd = argStart;
+    }
+
+    const indentation = source.slice(lineStarts[line - 1]).match(/^[ \t]*/)[0];
+    const body = escapeTemplate(snapshot)
+      .split("\n")
+      .map((text) => (text ? `${indentation}${INDENT}${text}` : text))
+      .join("\n");
+    const literal = `\`\n${body}\n${indentation}\``;
+    source = source.slice(0, argStart) + literal + source.slice(argEnd);
+  }
+
+  fs.writeFileSync(file, source);
+}
+
+/**
+ * 테스트 파일 하나의 스냅샷 상태
+ * update: "new"는 새 스냅샷만 기록, "all"은 불일치도 덮어쓰고 쓰이지 않는 스냅샷 삭제,
+ *         "none"은 아무것도 기록하지 않음 (CI에서 새 스냅샷을 실패로 처리)
+ */
+export class SnapshotState {
+  constructor({ testPath = null, update = "new" } = {}) {
+    this.update = update;
+    this.snapshotPath = testPath
+      ? path.join(
+          path.dirname(testPath),
+          "__snapshots__",
+          `${path.basename(testPath)}.snap`
+        )
+      : null;
+    this.snapshots = this.snapshotPath
+      ? readSnapshotFile(this.snapshotPath)
+      : {};
+    this.reset();
+  }
+
+  reset() {
+    this.counters = new Map(); // 테스트별 toMatchSnapshot() 호출 횟수
+    this.checked = new Set();
+    this.inlineUpdates = [];
+    this.dirty = false;
+    this.stats = { added: 0, updated: 0, matched: 0, unmatched: 0 };
+  }
+
+  // "Suite > test 1", 힌트가 있으면 "Suite > test: hint 1"
+  nextKey(testName, hint) {
+    const base = hint ? `${testName}: ${hint}` : testName;
+    const count = (this.counters.get(base) || 0) + 1;
+    this.counters.set(base, count);
+    return `${base} ${count}`;
+  }
+
+  // 비교 결과 기록: 저장할 수 있으면 저장하고 통과, 아니면 실패
+  resolve(expected, actual, write) {
+    if (expected === actual) {
+      this.stats.matched++;
+      return true;
+    }
+    const isNew = expected === undefined;
+    if (this.update === "all" || (isNew && this.update === "new")) {
+      write();
+      this.stats[isNew ? "added" : "updated"]++;
+      return true;
+    }
+    this.stats.unmatched++;
+    return false;
+  }
+
+  match(testName, received, hint) {
+    if (!this.snapshotPath) {
+      throw new Error(
+        "toMatchSnapshot()을 쓰려면 SimpleTest에 testPath를 지정해야 합니다"
+      );
+    }
+
+    const key = this.nextKey(testName, hint);
+    const expected = this.snapshots[key];
+    const actual = serialize(received);
+    this.checked.add(key);
+
+    const pass = this.resolve(expected, actual, () => {
+      this.snapshots[key] = actual;
+      this.dirty = true;
+    });
+    return { pass, key, expected, actual };
+  }
+
+  matchInline(received, snapshot, callSite) {
+    const expected = snapshot === undefined ? undefined : dedent(snapshot);
+    const actual = serialize(received);
+
+    const pass = this.resolve(expected, actual, () => {
+      if (!callSite) {
+        throw new Error("인라인 스냅샷을 기록할 호출 위치를 찾지 못했습니다");
+      }
+      this.inlineUpdates.push({ ...callSite, snapshot: actual });
+    });
+    return { pass, expected, actual };
+  }
+
+  /**
+   * 쓰이지 않는 스냅샷 찾기
+   * 통과한 테스트에서 확인되지 않았거나, 더 이상 존재하지 않는 테스트의 스냅샷이 대상입니다.
+   * (건너뛰거나 실패한 테스트의 스냅샷은 제외)
+   */
+  findObsolete(knownTests, ranTests) {
+    return Object.keys(this.snapshots).filter((key) => {
+      if (this.checked.has(key)) return false;
+      const owner = [...knownTests]
+        .filter(
+          (name) => key.startsWith(`${name} `) || key.startsWith(`${name}: `)
+        )
+        .sort((a, b) => b.length - a.length)[0];
+      return !owner || ranTests.has(owner);
+    });
+  }
+
+  // 변경된 스냅샷을 파일에 쓰고 이번 실행의 통계를 반환
+  save({ knownTests = new Set(), ranTests = new Set() } = {}) {
+    const obsolete = this.findObsolete(knownTests, ranTests);
+    let removed = 0;
+    if (this.update === "all" && obsolete.length > 0) {
+      obsolete.forEach((key) => delete this.snapshots[key]);
+      removed = obsolete.length;
+      this.dirty = true;
+    }
+
+    if (this.dirty && this.snapshotPath) {
+      writeSnapshotFile(this.snapshotPath, this.snapshots);
+    }
+
+    const byFile = new Map();
+    this.inlineUpdates.forEach((update) => {
+      if (!byFile.has(update.file)) byFile.set(update.file, []);
+      byFile.get(update.file).push(update);
+    });
+    byFile.forEach((updates, file) => rewriteInlineSnapshots(file, updates));
+
+    const summary = { ...this.stats, obsolete, removed };
+    this.reset();
+    return summary;
+  }
+}
+
+function ensureSnapshotContext(context, matcherName) {
+  if (context.isNot) {
+    throw new Error(`${matcherName}()은(는) .not과 함께 쓸 수 없습니다`);
+  }
+  if (!context.snapshotState || !context.testName) {
+    throw new Error(`${matcherName}()은(는) 테스트 안에서만 쓸 수 있습니다`);
+  }
+}
+
+// SimpleTest.expect에 합쳐지는 스냅샷 매처
+export const snapshotMatchers = {
+  toMatchSnapshot(received, hint) {
+    ensureSnapshotContext(this, "toMatchSnapshot");
+    const { pass, key, expected, actual } = this.snapshotState.match(
+      this.testName,
+      received,
+      hint
+    );
+    return {
+      pass,
+      message: () =>
+        expected === undefined
+          ? `New snapshot "${key}" was not written (update mode "none")`
+          : `Snapshot "${key}" mismatched:\n\n${diffLines(expected, actual, {
+              expectedLabel: "Snapshot",
+            })}`,
+    };
+  },
+
+  toMatchInlineSnapshot(received, snapshot) {
+    ensureSnapshotContext(this, "toMatchInlineSnapshot");
+    const callSite = findCallSite(new Error().stack);
+    const { pass, expected, actual } = this.snapshotState.matchInline(
+      received,
+      snapshot,
+      callSite
+    );
+    return {
+      pass,
+      message: () =>
+        expected === undefined
+          ? 'New inline snapshot was not written (update mode "none")'
+          : `Inline snapshot mismatched:\n\n${diffLines(expected, actual, {
+              expectedLabel: "Snapshot",
+            })}`,
+    };
+  },
+};
@@ -0,0 +1,169 @@
+/**
+ * 스냅샷 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ * 스냅샷 파일은 임시 폴더에 만들고 테스트마다 지웁니다.
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { serialize } from "./snapshot.js";
+import { SimpleTest } from "./simpleTest.js";
+
+export default function (test) {
+  test.describe("serialize", function () {
+    this.it("should sort keys and describe collections", function () {
+      const value = { b: new Set([1]), a: new Map([["k", [true]]]) };
+      this.expect(serialize(value)).toBe(
+        [
+          "{",
+          '  "a": Map {',
+          '    "k" => [',
+          "      true,",
+          "    ],",
+          "  },",
+          '  "b": Set {',
+          "    1,",
+          "  },",
+          "}",
+        ].join("\n")
+      );
+    });
+
+    this.it("should mark cycles and keep special values apart", function () {
+      const node = { id: -0 };
+      node.self = node;
+      this.expect(serialize(node)).toBe(
+        '{\n  "id": -0,\n  "self": [Circular],\n}'
+      );
+      this.expect(serialize([undefined, null, 1n, 'a"b'])).toBe(
+        '[\n  undefined,\n  null,\n  1n,\n  "a\\"b",\n]'
+      );
+    });
+  });
+
+  test.describe("toMatchSnapshot", function () {
+    let dir;
+    let testPath;
+    let snapshotFile;
+
+    this.beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpletest-snapshot-"));
+      testPath = path.join(dir, "sample.test.js");
+      snapshotFile = path.join(dir, "__snapshots__", "sample.test.js.snap");
+    });
+
+    this.afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // tests: { 이름: 스냅샷으로 남길 값 } (함수면 그 결과를 테스트 본문으로 실행)
+    const runSnapshots = (tests, updateSnapshot = "new") => {
+      const inner = new SimpleTest({
+        reporters: [],
+        testPath,
+        updateSnapshot,
+      });
+      inner.describe("sample", function () {
+        Object.entries(tests).forEach(([name, value]) => {
+          this.it(name, function () {
+            this.expect(value).toMatchSnapshot();
+          });
+        });
+      });
+      return inner.run();
+    };
+
+    const storedKeys = () =>
+      [
+        ...fs.readFileSync(snapshotFile, "utf8").matchAll(/exports\[`(.*)`\]/g),
+      ].map(([, key]) => key);
+
+    this.it("should write snapshots, then match", async function () {
+      const first = await runSnapshots({ user: { name: "Kim" } });
+      this.expect(first.snapshot.added).toBe(1);
+      this.expect(storedKeys()).toEqual(["sample > user 1"]);
+
+      const second = await runSnapshots({ user: { name: "Kim" } });
+      this.expect(second.snapshot.matched).toBe(1);
+      this.expect(second.failed).toBe(0);
+    });
+
+    this.it("should fail on a mismatch unless updating all", async function () {
+      await runSnapshots({ count: 1 });
+
+      const mismatch = await runSnapshots({ count: 2 });
+      this.expect(mismatch.failed).toBe(1);
+      this.expect(mismatch.results[0].error.message).toContain(
+        'Snapshot "sample > count 1" mismatched'
+      );
+
+      const updated = await runSnapshots({ count: 2 }, "all");
+      this.expect(updated.snapshot.updated).toBe(1);
+      this.expect(fs.readFileSync(snapshotFile, "utf8")).toContain("\n2\n");
+    });
+
+    this.it("should not write anything in update mode none", async function () {
+      const summary = await runSnapshots({ fresh: 1 }, "none");
+      this.expect(summary.failed).toBe(1);
+      this.expect(fs.existsSync(snapshotFile)).toBe(false);
+    });
+
+    this.it("should report, then remove obsolete", async function () {
+      await runSnapshots({ kept: 1, dropped: 2 });
+
+      const reported = await runSnapshots({ kept: 1 });
+      this.expect(reported.snapshot.obsolete).toEqual(["sample > dropped 1"]);
+      this.expect(reported.snapshot.removed).toBe(0);
+      this.expect(storedKeys()).toHaveLength(2);
+
+      const removed = await runSnapshots({ kept: 1 }, "all");
+      this.expect(removed.snapshot.removed).toBe(1);
+      this.expect(storedKeys()).toEqual(["sample > kept 1"]);
+    });
+
+    this.it("should keep snapshots of skipped tests", async function () {
+      await runSnapshots({ a: 1, b: 2 });
+
+      const inner = new SimpleTest({
+        reporters: [],
+        testPath,
+        updateSnapshot: "all",
+      });
+      inner.describe("sample", function () {
+        this.it("a", function () {
+          this.expect(1).toMatchSnapshot();
+        });
+        this.it.skip("b", function () {});
+      });
+      const summary = await inner.run();
+
+      this.expect(summary.snapshot.obsolete).toEqual([]);
+      this.expect(storedKeys()).toEqual(["sample > a 1", "sample > b 1"]);
+    });
+
+    this.it("should keep snapshots of failed tests", async function () {
+      await runSnapshots({ a: 1, b: 2 });
+
+      const inner = new SimpleTest({
+        reporters: [],
+        testPath,
+        updateSnapshot: "all",
+      });
+      inner.describe("sample", function () {
+        this.it("a", function () {
+          this.expect(1).toMatchSnapshot();
+        });
+        this.it("b", function () {
+          throw new Error("스냅샷 전에 실패");
+        });
+      });
+      const summary = await inner.run();
+
+      this.expect(summary.failed).toBe(1);
+      this.expect(summary.snapshot.obsolete).toEqual([]);
+      this.expect(summary.snapshot.removed).toBe(0);
+      this.expect(storedKeys()).toEqual(["sample > a 1", "sample > b 1"]);
+    });
+  });
+}
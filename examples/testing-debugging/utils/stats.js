@@ -0,0 +1,62 @@
+/**
+ * 벤치마크 통계
+ * 샘플(ms 단위 측정값) 배열로 평균, 중앙값, 표준편차, 백분위수, 오차 범위를 계산합니다.
+ */
+
+// 자유도별 t 분포 양측 95% 임계값 (30 이상은 정규분포 근사값 1.96)
+const T_TABLE_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08,
+  2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+export function tCritical95(degreesOfFreedom) {
+  if (degreesOfFreedom < 1) return NaN;
+  return T_TABLE_95[degreesOfFreedom - 1] ?? 1.96;
+}
+
+export function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// 표본 표준편차 (n - 1로 나눔)
+export function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  const squared = values.reduce((sum, value) => sum + (value - average) ** 2, 0);
+  return Math.sqrt(squared / (values.length - 1));
+}
+
+// 정렬된 배열에서 p(0~100) 백분위수 (선형 보간)
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * 샘플 요약
+ * moe는 평균의 95% 신뢰구간 반폭(ms), rme는 그것을 평균 대비 %로 나타낸 값
+ */
+export function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const average = mean(sorted);
+  const stddev = standardDeviation(sorted);
+  const sem = stddev / Math.sqrt(sorted.length);
+  const moe = sem * (tCritical95(sorted.length - 1) || 0);
+
+  return {
+    mean: average,
+    median: percentile(sorted, 50),
+    stddev,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    moe,
+    rme: average > 0 ? (moe / average) * 100 : 0,
+    opsPerSec: average > 0 ? 1000 / average : Infinity,
+  };
+}
@@ -0,0 +1,18 @@
+/**
+ * 테스트 파일 하나를 실행하는 자식 프로세스 진입점 (runner.js가 fork)
+ * 인자: <테스트 파일 경로> <옵션 JSON>
+ */
+
+import { runTestFile } from "./runner.js";
+
+const [file, optionsJson = "{}"] = process.argv.slice(2);
+
+try {
+  const summary = await runTestFile(file, JSON.parse(optionsJson));
+  process.send({ type: "summary", summary }, () => process.exit(0));
+} catch (error) {
+  const { name, message, stack } = error;
+  process.send({ type: "error", error: { name, message, stack } }, () =>
+    process.exit(1)
+  );
+}
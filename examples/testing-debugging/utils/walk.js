@@ -0,0 +1,65 @@
+/**
+ * 순환 참조에 안전한 재귀 순회 유틸리티
+ * 인스펙터(inspect), 매처 메시지, diff 출력이 같은 순회 로직을 공유합니다.
+ */
+
+/**
+ * value를 재귀적으로 순회하며 visit의 반환값을 결과로 사용
+ * - visit(value, { path, depth, walkChild }): walkChild(childValue, key)로 하위 값 순회
+ * - onCircular(value, { path, target }): 현재 경로의 조상 객체를 다시 만났을 때 (target은 그 객체의 경로)
+ * - onMaxDepth(value, { path }): depth가 maxDepth를 넘었을 때
+ */
+export function walk(
+  root,
+  visit,
+  { maxDepth = Infinity, onCircular = () => "[Circular]", onMaxDepth } = {}
+) {
+  const ancestors = new Map(); // 방문 중인 객체 -> 경로
+
+  function step(value, path, depth) {
+    if (depth > maxDepth && onMaxDepth) {
+      return onMaxDepth(value, { path });
+    }
+
+    const walkChild = (child, key) => step(child, [...path, key], depth + 1);
+    const isObject =
+      value !== null && (typeof value === "object" || typeof value === "function");
+    if (!isObject) {
+      return visit(value, { path, depth, walkChild });
+    }
+
+    if (ancestors.has(value)) {
+      return onCircular(value, { path, target: ancestors.get(value) });
+    }
+
+    ancestors.set(value, path);
+    try {
+      return visit(value, { path, depth, walkChild });
+    } finally {
+      ancestors.delete(value);
+    }
+  }
+
+  return step(root, [], 0);
+}
+
+// "users[1].meta.active" -> ["users", "1", "meta", "active"]
+export function parsePath(path) {
+  if (Array.isArray(path)) return path.map(String);
+  return String(path)
+    .replace(/\[(\w+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+}
+
+// ["users", 1, "meta", "active"] -> "users[1].meta.active"
+export function formatPath(path) {
+  return path.reduce((result, key) => {
+    if (typeof key === "number") return `${result}[${key}]`;
+    if (typeof key === "symbol") return `${result}[${String(key)}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+      return result ? `${result}.${key}` : key;
+    }
+    return `${result}[${JSON.stringify(key)}]`;
+  }, "");
+}
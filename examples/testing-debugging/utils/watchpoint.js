@@ -0,0 +1,279 @@
+/**
+ * 프로퍼티 감시점 (watchpoint)
+ * 객체의 깊은 경로(user.meta.active)에 접근자를 걸어 읽기/쓰기를 기록합니다.
+ * 중간 객체가 통째로 바뀌면 새 객체로 감시를 옮기고, untrace()는 원래 디스크립터를 되돌립니다.
+ * 같은 중간 객체를 지나는 감시점을 여러 개 걸었다면 나중에 건 것부터 해제해야 합니다.
+ */
+
+import { format } from "./diff.js";
+import { parsePath } from "./walk.js";
+
+const activeWatchpoints = new WeakMap(); // root -> Map(경로 -> Watchpoint)
+
+// breakOn 조건을 만족했는데 onBreak 핸들러가 없을 때 던지는 에러
+export class WatchpointBreak extends Error {
+  constructor(event) {
+    super(`감시점에서 중단: ${event.type.toUpperCase()} ${event.path}`);
+    this.name = "WatchpointBreak";
+    this.event = event;
+  }
+}
+
+const isObject = (value) =>
+  value !== null && (typeof value === "object" || typeof value === "function");
+
+const readPath = (value, keys) =>
+  keys.reduce(
+    (current, key) => (isObject(current) ? current[key] : undefined),
+    value
+  );
+
+// 감시점 코드 자신의 프레임을 뺀 호출 위치 스택
+function captureStack() {
+  return (new Error().stack || "")
+    .split("\n")
+    .slice(1)
+    .filter((line) => !line.includes(import.meta.url))
+    .map((line) => line.trim())
+    .join("\n");
+}
+
+/**
+ * owner[key]를 접근자로 바꾸고 { read, restore }를 반환
+ * handlers.get(value)는 읽을 때, handlers.set(oldValue, newValue, write)는 쓸 때 호출됩니다.
+ * 원래 접근자가 있었다면 그것을 거쳐 읽고 씁니다.
+ */
+function hookProperty(owner, key, handlers) {
+  const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+  if (descriptor && !descriptor.configurable) {
+    throw new TypeError(
+      `${String(key)}은(는) 재정의할 수 없는 프로퍼티입니다`
+    );
+  }
+
+  const isAccessor = Boolean(descriptor && (descriptor.get || descriptor.set));
+  let value = descriptor ? descriptor.value : owner[key];
+  let written = false;
+
+  const read = () => (isAccessor ? descriptor.get?.call(owner) : value);
+
+  const write = (newValue) => {
+    if (isAccessor ? !descriptor.set : descriptor && !descriptor.writable) {
+      throw new TypeError(`${String(key)}은(는) 읽기 전용 프로퍼티입니다`);
+    }
+    if (isAccessor) {
+      descriptor.set.call(owner, newValue);
+    } else {
+      value = newValue;
+      written = true;
+    }
+  };
+
+  // 데이터 프로퍼티는 감시 중에 바뀐 값을 유지한 채로 디스크립터를 되돌림
+  const restore = () => {
+    if (isAccessor) {
+      Object.defineProperty(owner, key, descriptor);
+    } else if (descriptor) {
+      Object.defineProperty(owner, key, { ...descriptor, value });
+    } else if (written) {
+      Object.defineProperty(owner, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    } else {
+      delete owner[key]; // 원래 없던(또는 상속받은) 프로퍼티
+    }
+  };
+
+  Object.defineProperty(owner, key, {
+    configurable: true,
+    enumerable: descriptor ? descriptor.enumerable : true,
+    get() {
+      const current = read();
+      handlers.get?.(current);
+      return current;
+    },
+    set(newValue) {
+      handlers.set(read(), newValue, write);
+    },
+  });
+
+  return { read, restore };
+}
+
+/**
+ * 감시점
+ * options:
+ * - log: 콘솔에 접근을 출력할지 (기본 true)
+ * - reads: 읽기도 기록할지 (기본 true)
+ * - historyLimit: history에 남길 최대 이벤트 수 (기본 100)
+ * - breakOn(event): true를 반환하면 onBreak(event)를 호출하고, onBreak가 없으면 WatchpointBreak를 던짐
+ *   쓰기에서 중단되면 onBreak가 있어도 값은 바뀌지 않습니다.
+ *
+ * event: { type: "get" | "set", path, value | oldValue/newValue, via?, timestamp, stack }
+ *   via는 중간 객체를 교체해서 값이 바뀐 경우 교체된 경로
+ */
+export class Watchpoint {
+  constructor(
+    root,
+    path,
+    {
+      log = true,
+      reads = true,
+      historyLimit = 100,
+      breakOn = null,
+      onBreak = null,
+    } = {}
+  ) {
+    this.root = root;
+    this.keys = parsePath(path);
+    this.path = this.keys.join(".");
+    this.options = { log, reads, historyLimit, breakOn, onBreak };
+    this.history = [];
+    this.hooks = []; // 경로 단계별 { read, restore }
+    this.recording = false;
+    this.active = true;
+    this.attach(0, root);
+  }
+
+  // level부터 경로 끝까지 접근자를 설치 (중간 값이 객체가 아니면 거기서 멈춤)
+  attach(level, owner) {
+    for (let i = level; i < this.keys.length && isObject(owner); i++) {
+      const isLeaf = i === this.keys.length - 1;
+      this.hooks[i] = hookProperty(
+        owner,
+        this.keys[i],
+        isLeaf ? this.leafHandlers() : this.branchHandlers(i)
+      );
+      owner = this.hooks[i].read();
+    }
+  }
+
+  // 안쪽 단계부터 원래 디스크립터로 되돌림
+  detach(level) {
+    for (let i = this.hooks.length - 1; i >= level; i--) {
+      this.hooks[i].restore();
+    }
+    this.hooks.length = level;
+  }
+
+  // 기록을 남기지 않고 현재 값을 읽음
+  currentValue() {
+    const leaf = this.hooks[this.keys.length - 1];
+    return leaf ? leaf.read() : undefined;
+  }
+
+  leafHandlers() {
+    return {
+      get: (value) => this.record({ type: "get", value }),
+      set: (oldValue, newValue, write) => {
+        const stopped = this.record({ type: "set", oldValue, newValue });
+        if (!stopped) write(newValue);
+      },
+    };
+  }
+
+  // 중간 객체가 바뀌면 그 아래 접근자를 새 객체로 옮김
+  branchHandlers(level) {
+    return {
+      set: (oldValue, newValue, write) => {
+        const before = this.currentValue();
+        const after = readPath(newValue, this.keys.slice(level + 1));
+        if (!Object.is(before, after)) {
+          const stopped = this.record({
+            type: "set",
+            oldValue: before,
+            newValue: after,
+            via: this.keys.slice(0, level + 1).join("."),
+          });
+          if (stopped) return;
+        }
+
+        this.detach(level + 1);
+        write(newValue);
+        this.attach(level + 1, newValue);
+      },
+    };
+  }
+
+  // breakOn에 걸렸으면 true (쓰기는 호출한 쪽에서 건너뜀)
+  record(fields) {
+    // breakOn이나 onBreak 안에서 감시 중인 값을 읽어도 다시 기록하지 않음
+    if (this.recording) return false;
+    if (fields.type === "get" && !this.options.reads) return false;
+
+    const event = {
+      ...fields,
+      path: this.path,
+      timestamp: Date.now(),
+      stack: captureStack(),
+    };
+    this.history.push(event);
+    if (this.history.length > this.options.historyLimit) this.history.shift();
+
+    const { log, breakOn, onBreak } = this.options;
+    this.recording = true;
+    try {
+      if (log) this.log(event);
+      if (breakOn && breakOn(event)) {
+        if (!onBreak) throw new WatchpointBreak(event);
+        onBreak(event);
+        return true;
+      }
+      return false;
+    } finally {
+      this.recording = false;
+    }
+  }
+
+  log({ type, path, value, oldValue, newValue, via }) {
+    if (type === "get") {
+      console.log(`🔍 GET ${path}: ${format(value)}`);
+    } else {
+      const reason = via ? ` (${via} 교체)` : "";
+      console.log(
+        `📝 SET ${path}: ${format(oldValue)} -> ${format(newValue)}${reason}`
+      );
+    }
+  }
+
+  clearHistory() {
+    this.history = [];
+  }
+
+  untrace() {
+    if (!this.active) return;
+    this.active = false;
+    this.detach(0);
+    activeWatchpoints.get(this.root)?.delete(this.path);
+  }
+}
+
+// 같은 경로에 다시 걸면 이전 감시점을 해제하고 새로 설치
+export function watchPath(root, path, options) {
+  if (!isObject(root)) {
+    throw new TypeError(`감시할 수 없는 값입니다: ${format(root)}`);
+  }
+  const key = parsePath(path).join(".");
+  if (!activeWatchpoints.has(root)) activeWatchpoints.set(root, new Map());
+  activeWatchpoints.get(root).get(key)?.untrace();
+
+  const watchpoint = new Watchpoint(root, path, options);
+  activeWatchpoints.get(root).set(key, watchpoint);
+  return watchpoint;
+}
+
+// path를 생략하면 root에 걸린 감시점을 모두 해제 (해제한 개수를 반환)
+export function unwatchPath(root, path) {
+  const watchpoints = activeWatchpoints.get(root);
+  if (!watchpoints) return 0;
+
+  const targets =
+    path === undefined
+      ? [...watchpoints.values()].reverse()
+      : [watchpoints.get(parsePath(path).join("."))].filter(Boolean);
+  targets.forEach((watchpoint) => watchpoint.untrace());
+  return targets.length;
+}
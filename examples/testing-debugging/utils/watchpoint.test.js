@@ -0,0 +1,159 @@
+/**
+ * 프로퍼티 감시점 테스트 (테스트 러너로 실행)
+ *   node examples/testing-debugging/test-runner.js examples/testing-debugging
+ */
+
+import {
+  unwatchPath,
+  watchPath,
+  Watchpoint,
+  WatchpointBreak,
+} from "./watchpoint.js";
+
+const descriptorOf = (obj, key) => Object.getOwnPropertyDescriptor(obj, key);
+
+export default function (test) {
+  test.describe("Watchpoint restore", function () {
+    this.it("should restore data properties", function () {
+      const config = { retry: { count: 1 } };
+      Object.defineProperty(config.retry, "limit", {
+        value: 3,
+        writable: true,
+        enumerable: false,
+        configurable: true,
+      });
+
+      const watchpoint = new Watchpoint(config, "retry.limit", {
+        log: false,
+      });
+      config.retry.limit = 5;
+      watchpoint.untrace();
+
+      this.expect(descriptorOf(config, "retry").get).toBeUndefined();
+      this.expect(descriptorOf(config.retry, "limit")).toEqual({
+        value: 5,
+        writable: true,
+        enumerable: false,
+        configurable: true,
+      });
+    });
+
+    this.it("should put original accessors back", function () {
+      let stored = "a";
+      const get = () => stored;
+      const set = (value) => {
+        stored = value.toUpperCase();
+      };
+      const target = {};
+      Object.defineProperty(target, "name", {
+        get,
+        set,
+        enumerable: true,
+        configurable: true,
+      });
+
+      const watchpoint = new Watchpoint(target, "name", { log: false });
+      target.name = "b";
+      this.expect(target.name).toBe("B");
+      watchpoint.untrace();
+
+      this.expect(descriptorOf(target, "name")).toEqual({
+        get,
+        set,
+        enumerable: true,
+        configurable: true,
+      });
+    });
+
+    this.it("should delete properties that did not exist", function () {
+      const target = {};
+      new Watchpoint(target, "missing", { log: false }).untrace();
+      this.expect(Object.hasOwn(target, "missing")).toBe(false);
+    });
+
+    this.it("should unwatch every path on a root", function () {
+      const state = { a: 1, b: { c: 2 } };
+      watchPath(state, "a", { log: false });
+      watchPath(state, "b.c", { log: false });
+
+      this.expect(unwatchPath(state)).toBe(2);
+      this.expect(descriptorOf(state, "a")).toEqual({
+        value: 1,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+      this.expect(descriptorOf(state.b, "c").get).toBeUndefined();
+      this.expect(unwatchPath(state)).toBe(0);
+    });
+
+    this.it("should replace a watchpoint on the same path", function () {
+      const state = { count: 0 };
+      const first = watchPath(state, "count", { log: false });
+      const second = watchPath(state, "count", { log: false });
+      state.count = 1;
+
+      this.expect(first.active).toBe(false);
+      this.expect(first.history).toHaveLength(0);
+      this.expect(second.history).toHaveLength(1);
+      second.untrace();
+    });
+  });
+
+  test.describe("Watchpoint events", function () {
+    this.it("should follow replaced objects and drop old ones", function () {
+      const user = { meta: { active: true } };
+      const watchpoint = new Watchpoint(user, "meta.active", {
+        log: false,
+        reads: false,
+      });
+      const oldMeta = user.meta;
+      user.meta = { active: false };
+      oldMeta.active = "ignored";
+      user.meta.active = null;
+
+      this.expect(
+        watchpoint.history.map(({ oldValue, newValue, via }) => [
+          oldValue,
+          newValue,
+          via,
+        ])
+      ).toEqual([
+        [true, false, "meta"],
+        [false, null, undefined],
+      ]);
+      watchpoint.untrace();
+    });
+
+    this.it("should refuse writes that hit breakOn", function () {
+      const account = { balance: 100 };
+      const watchpoint = new Watchpoint(account, "balance", {
+        log: false,
+        breakOn: ({ type, newValue }) => type === "set" && newValue < 0,
+      });
+
+      account.balance = 50;
+      this.expect(() => {
+        account.balance = -1;
+      }).toThrow(WatchpointBreak);
+      this.expect(account.balance).toBe(50);
+      watchpoint.untrace();
+    });
+
+    this.it("should keep only historyLimit events", function () {
+      const counter = { value: 0 };
+      const watchpoint = new Watchpoint(counter, "value", {
+        log: false,
+        historyLimit: 2,
+      });
+      counter.value = 1;
+      counter.value = 2;
+      counter.value = 3;
+
+      this.expect(watchpoint.history.map(({ newValue }) => newValue)).toEqual([
+        2, 3,
+      ]);
+      watchpoint.untrace();
+    });
+  });
+}